@@ -1,21 +1,31 @@
 #!/bin/bash
 
 # This script is used by exercises to report completion status
-# Usage: check-completion.sh <goal_id> <token> [data]
+# Usage: check-completion.sh <goal_id> [data]
 
 GOAL_ID="$1"
-TOKEN="$2"
-DATA="$3"
+DATA="${2:-null}"
 
-if [ -z "$GOAL_ID" ] || [ -z "$TOKEN" ]; then
-    echo "Usage: check-completion.sh <goal_id> <token> [data]"
+if [ -z "$GOAL_ID" ]; then
+    echo "Usage: check-completion.sh <goal_id> [data]"
     exit 1
 fi
 
-# Get the container's subdomain from the hostname
-SUBDOMAIN=$(hostname)
+if [ -z "$TRAINING_CALLBACK_SECRET" ]; then
+    echo "TRAINING_CALLBACK_SECRET is not set"
+    exit 1
+fi
+
+# The platform injects the URL of its internal API, which knows the calling
+# container by its address
+CALLBACK_URL="${CALLBACK_URL:-${TRAINING_API_URL:-http://training-platform:3001}/complete}"
+
+# Sign the payload with the per-container secret injected by the platform
+PAYLOAD="{\"goal_id\": \"$GOAL_ID\", \"timestamp\": $(date +%s), \"data\": $DATA}"
+SIGNATURE=$(printf '%s' "$PAYLOAD" | openssl dgst -sha256 -hmac "$TRAINING_CALLBACK_SECRET" | sed 's/^.*= //')
 
 # Send completion request to the platform
 curl -X POST -H "Content-Type: application/json" \
-     -d "{\"goal_id\": \"$GOAL_ID\", \"token\": \"$TOKEN\", \"data\": $DATA}" \
-     "https://apptraining.dbg.local/api/containers/$SUBDOMAIN/complete" 
\ No newline at end of file
+     -H "X-Training-Signature: sha256=$SIGNATURE" \
+     -d "$PAYLOAD" \
+     "$CALLBACK_URL"
@@ -1,28 +1,37 @@
 #!/bin/bash
 
-# This script checks if a specific goal has been completed and reports back to the orchestrator
+# This script reports a completed goal back to the orchestrator. Requests are
+# signed with the per-container secret the platform injects at launch.
 
 GOAL_ID=$1
-TOKEN=$2
-DATA=$3
-CALLBACK_URL=${CALLBACK_URL:-"http://localhost:3000/api/containers/${TRAINING_SUBDOMAIN}/complete"}
+DATA=$2
+CALLBACK_URL=${CALLBACK_URL:-"http://training-platform:3001/complete"}
 
 # Validate input
-if [ -z "$GOAL_ID" ] || [ -z "$TOKEN" ]; then
-    echo "Usage: $0 <goal_id> <token> [data]"
+if [ -z "$GOAL_ID" ]; then
+    echo "Usage: $0 <goal_id> [data]"
+    exit 1
+fi
+
+if [ -z "$TRAINING_CALLBACK_SECRET" ]; then
+    echo "TRAINING_CALLBACK_SECRET is not set"
     exit 1
 fi
 
 # Create JSON payload
-PAYLOAD="{\"goal_id\":\"$GOAL_ID\",\"token\":\"$TOKEN\""
+PAYLOAD="{\"goal_id\":\"$GOAL_ID\",\"timestamp\":$(date +%s)"
 if [ ! -z "$DATA" ]; then
     PAYLOAD="$PAYLOAD,\"data\":$DATA"
 fi
 PAYLOAD="$PAYLOAD}"
 
+# Sign the exact payload bytes with HMAC-SHA256
+SIGNATURE=$(printf '%s' "$PAYLOAD" | openssl dgst -sha256 -hmac "$TRAINING_CALLBACK_SECRET" | sed 's/^.*= //')
+
 # Send completion notification to orchestrator
 curl -X POST "$CALLBACK_URL" \
      -H "Content-Type: application/json" \
+     -H "X-Training-Signature: sha256=$SIGNATURE" \
      -d "$PAYLOAD"
 
-exit $? 
\ No newline at end of file
+exit $?
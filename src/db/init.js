@@ -9,6 +9,248 @@ const db = new sqlite3.Database(dbPath);
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'adminRyan';
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
 
+/**
+ * Schema changes, applied in order. The CREATE TABLE statements below describe
+ * the original schema; every change since, new tables included, is a migration
+ * here. PRAGMA user_version records how many of them have been applied.
+ */
+const MIGRATIONS = [
+    // 1: progress is tracked per goal declared in the exercise metadata
+    [
+        `CREATE TABLE goal_progress (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            image_id INTEGER NOT NULL,
+            goal_id TEXT NOT NULL,
+            payload TEXT,
+            completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(user_id) REFERENCES users(id),
+            FOREIGN KEY(image_id) REFERENCES docker_images(id),
+            UNIQUE(user_id, image_id, goal_id)
+        )`
+    ],
+    // 2: per-container secret used to sign completion callbacks
+    ['ALTER TABLE containers ADD COLUMN callback_secret TEXT'],
+    // 3: flags issued to trainees per container launch
+    [
+        `CREATE TABLE exercise_flags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            image_id INTEGER NOT NULL,
+            container_id TEXT NOT NULL,
+            goal_id TEXT NOT NULL,
+            flag TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(user_id) REFERENCES users(id),
+            FOREIGN KEY(image_id) REFERENCES docker_images(id)
+        )`
+    ],
+    // 4: admin-configurable platform settings
+    [
+        `CREATE TABLE platform_settings (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+    ],
+    // 5: 'starting' status while waiting for health checks, and the exercise's container port
+    [
+        `CREATE TABLE containers_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            container_id TEXT UNIQUE NOT NULL,
+            image_id INTEGER,
+            user_id INTEGER,
+            subdomain TEXT UNIQUE NOT NULL,
+            status TEXT CHECK(status IN ('starting', 'running', 'stopped', 'completed')) NOT NULL,
+            host_port TEXT,
+            container_port INTEGER,
+            callback_secret TEXT,
+            last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(image_id) REFERENCES docker_images(id),
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`,
+        `INSERT INTO containers_new
+            (id, container_id, image_id, user_id, subdomain, status, host_port, container_port,
+             callback_secret, last_activity, created_at)
+         SELECT id, container_id, image_id, user_id, subdomain, status, host_port, 8080,
+             callback_secret, last_activity, created_at
+         FROM containers`,
+        'DROP TABLE containers',
+        'ALTER TABLE containers_new RENAME TO containers'
+    ],
+    // 6: exercise images are built asynchronously, keeping their output
+    [
+        `CREATE TABLE build_jobs (
+            id TEXT PRIMARY KEY,
+            status TEXT CHECK(status IN ('queued', 'building', 'succeeded', 'failed')) NOT NULL,
+            filename TEXT,
+            upload_path TEXT,
+            context_path TEXT,
+            image_tag TEXT NOT NULL,
+            metadata JSON,
+            image_id INTEGER,
+            error TEXT,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME,
+            FOREIGN KEY(image_id) REFERENCES docker_images(id),
+            FOREIGN KEY(created_by) REFERENCES users(id)
+        )`,
+        `CREATE TABLE build_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id TEXT NOT NULL,
+            line TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(job_id) REFERENCES build_jobs(id)
+        )`
+    ],
+    // 7: exercises own multiple image versions, one of them active
+    [
+        `CREATE TABLE exercise_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            exercise_id INTEGER NOT NULL,
+            version TEXT NOT NULL,
+            image_tag TEXT UNIQUE NOT NULL,
+            metadata JSON,
+            build_job_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(exercise_id) REFERENCES docker_images(id),
+            UNIQUE(exercise_id, version)
+        )`,
+        'ALTER TABLE docker_images ADD COLUMN slug TEXT',
+        'ALTER TABLE docker_images ADD COLUMN active_version_id INTEGER REFERENCES exercise_versions(id)',
+        `UPDATE docker_images SET slug = substr(image_id, 10, instr(image_id, ':') - 10)
+         WHERE image_id LIKE 'training/%:%'`,
+        `UPDATE docker_images SET slug = lower(replace(name, ' ', '-')) WHERE slug IS NULL`,
+        `INSERT INTO exercise_versions (exercise_id, version, image_tag, metadata, created_at)
+         SELECT id, version, image_id, metadata, created_at FROM docker_images`,
+        `UPDATE docker_images SET active_version_id =
+            (SELECT id FROM exercise_versions WHERE exercise_id = docker_images.id)`,
+        'ALTER TABLE containers ADD COLUMN version_id INTEGER REFERENCES exercise_versions(id)',
+        `UPDATE containers SET version_id =
+            (SELECT active_version_id FROM docker_images WHERE id = containers.image_id)`,
+        'ALTER TABLE build_jobs ADD COLUMN activate INTEGER DEFAULT 0',
+        'ALTER TABLE build_jobs ADD COLUMN version_id INTEGER REFERENCES exercise_versions(id)'
+    ],
+    // 8: launches get their own network and are proxied to the container address
+    [
+        'ALTER TABLE containers ADD COLUMN container_ip TEXT'
+    ],
+    // 9: launch lifetimes can be extended, within a per-exercise policy
+    [
+        'ALTER TABLE containers ADD COLUMN expires_at DATETIME',
+        'ALTER TABLE containers ADD COLUMN extensions INTEGER DEFAULT 0',
+        `UPDATE containers SET expires_at = datetime(created_at, '+7200 seconds')`,
+        'ALTER TABLE docker_images ADD COLUMN extension_policy TEXT'
+    ],
+    // 10: idle launches can be suspended instead of removed
+    [
+        `CREATE TABLE containers_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            container_id TEXT UNIQUE NOT NULL,
+            image_id INTEGER,
+            user_id INTEGER,
+            subdomain TEXT UNIQUE NOT NULL,
+            status TEXT CHECK(status IN ('starting', 'running', 'suspended', 'stopped', 'completed')) NOT NULL,
+            host_port TEXT,
+            container_port INTEGER,
+            callback_secret TEXT,
+            last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            version_id INTEGER REFERENCES exercise_versions(id),
+            container_ip TEXT,
+            expires_at DATETIME,
+            extensions INTEGER DEFAULT 0,
+            suspended_at DATETIME,
+            FOREIGN KEY(image_id) REFERENCES docker_images(id),
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`,
+        `INSERT INTO containers_new
+            (id, container_id, image_id, user_id, subdomain, status, host_port, container_port, callback_secret,
+             last_activity, created_at, version_id, container_ip, expires_at, extensions)
+         SELECT id, container_id, image_id, user_id, subdomain, status, host_port, container_port, callback_secret,
+             last_activity, created_at, version_id, container_ip, expires_at, extensions
+         FROM containers`,
+        'DROP TABLE containers',
+        'ALTER TABLE containers_new RENAME TO containers'
+    ],
+    // 11: admins can share a launch with other users through short-lived links
+    [
+        `CREATE TABLE launch_shares (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            subdomain TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            created_by INTEGER,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(created_by) REFERENCES users(id)
+        )`
+    ],
+    // 12: opt-in capture of proxied exercise traffic
+    [
+        `CREATE TABLE traffic_captures (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            subdomain TEXT NOT NULL,
+            user_id INTEGER,
+            image_id INTEGER,
+            requested_by INTEGER,
+            method TEXT NOT NULL,
+            url TEXT NOT NULL,
+            request_headers TEXT,
+            request_body BLOB,
+            request_size INTEGER DEFAULT 0,
+            status INTEGER,
+            response_headers TEXT,
+            response_body BLOB,
+            response_size INTEGER DEFAULT 0,
+            started_at DATETIME NOT NULL,
+            duration_ms INTEGER,
+            FOREIGN KEY(user_id) REFERENCES users(id),
+            FOREIGN KEY(image_id) REFERENCES docker_images(id)
+        )`,
+        'CREATE INDEX idx_traffic_captures_subdomain ON traffic_captures(subdomain, id)'
+    ],
+    // 13: finishing an exercise no longer ends its launch, which stays running
+    [
+        `UPDATE containers SET status = 'running' WHERE status = 'completed'`
+    ]
+];
+
+const run = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => {
+            if (err) reject(err);
+            resolve();
+        });
+    });
+};
+
+const runMigrations = async () => {
+    const { user_version: currentVersion } = await new Promise((resolve, reject) => {
+        db.get('PRAGMA user_version', (err, row) => {
+            if (err) reject(err);
+            resolve(row);
+        });
+    });
+
+    for (let version = currentVersion + 1; version <= MIGRATIONS.length; version++) {
+        try {
+            await run('BEGIN TRANSACTION');
+            for (const statement of MIGRATIONS[version - 1]) {
+                await run(statement);
+            }
+            await run(`PRAGMA user_version = ${version}`);
+            await run('COMMIT');
+            logger.info(`Applied database migration ${version}`);
+        } catch (error) {
+            await run('ROLLBACK').catch(() => {});
+            throw new Error(`Database migration ${version} failed: ${error.message}`);
+        }
+    }
+};
+
 const initializeDatabase = () => {
     return new Promise((resolve, reject) => {
         db.serialize(async () => {
@@ -86,6 +328,9 @@ const initializeDatabase = () => {
                     FOREIGN KEY(user_id) REFERENCES users(id)
                 )`);
 
+                // Queued after the table definitions above
+                await runMigrations();
+
                 // Create admin user if it doesn't exist
                 const hashedPassword = await argon2.hash(ADMIN_PASSWORD, {
                     type: argon2.argon2id,
@@ -1,7 +1,13 @@
 const { logger } = require('../utils/logger');
-const { validate: validateUUID } = require('uuid');
 const { db } = require('../db/init');
+const { DockerService } = require('../services/docker');
+const { ShareService } = require('../services/shares');
+const { SettingsService } = require('../services/settings');
+const { TrafficService } = require('../services/traffic');
+const { resolveProxyLimits, admitRequest } = require('../services/limits');
+const { parseHost, extractSubdomain, platformUrl } = require('../utils/domain');
 const httpProxy = require('http-proxy');
+const http = require('http');
 
 /**
  * Default proxy configuration
@@ -14,9 +20,68 @@ const DEFAULT_PROXY_CONFIG = {
     proxyTimeout: 60000,
     timeout: 60000,
     ws: true,
-    followRedirects: true
+    // Redirects go to the browser rather than being followed here, which would
+    // buffer request bodies for replay. Locations pointing at the container's
+    // address are rewritten to the host the browser used.
+    followRedirects: false,
+    autoRewrite: true,
+    protocolRewrite: 'https'
 };
 
+// Name of the platform's session cookie (express-session default)
+const SESSION_COOKIE = 'connect.sid';
+
+// Exercises served below a path share the platform's origin. These headers
+// would let one claim it: a service worker scoped to "/", or wiping its storage.
+const PATH_MODE_BLOCKED_HEADERS = ['service-worker-allowed', 'clear-site-data'];
+
+// Runs exercise pages served below a path in an opaque origin, so their
+// scripts can't read the platform's pages or call its API as the viewer
+const PATH_MODE_SANDBOX = 'sandbox allow-scripts allow-forms allow-popups allow-modals allow-downloads';
+
+// How often open WebSockets are checked for trainee traffic
+const WEBSOCKET_ACTIVITY_INTERVAL = 30 * 1000;
+
+// /lab/<uuid> followed by the path within the exercise
+const LAB_PATH = /^\/lab\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(\/.*|\?.*)?$/i;
+
+/**
+ * Served while a container is still starting; reloads until the exercise is ready
+ */
+const STARTING_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="refresh" content="3">
+    <title>Exercise starting</title>
+</head>
+<body>
+    <p>Your exercise is starting. This page will reload automatically when it is ready.</p>
+</body>
+</html>`;
+
+const SUSPENDED_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Exercise suspended</title>
+</head>
+<body>
+    <p>Your exercise was suspended after a period of inactivity. Resume it from the exercises page to continue where you left off.</p>
+</body>
+</html>`;
+
+const FORBIDDEN_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Access denied</title>
+</head>
+<body>
+    <p>This exercise belongs to another trainee. Ask an instructor for a share link if you are pairing on it.</p>
+</body>
+</html>`;
+
 /**
  * Create a proxy server instance with error handling and request/response logging
  */
@@ -40,14 +105,53 @@ proxy.on('error', (err, req, res) => {
     }
 });
 
-// Handle request body and headers
-proxy.on('proxyReq', (proxyReq, req, res, options) => {
-    if (req.method === 'POST' && req.body) {
-        const bodyData = JSON.stringify(req.body);
-        proxyReq.setHeader('Content-Length', Buffer.byteLength(bodyData));
-        proxyReq.setHeader('Content-Type', req.headers['content-type'] || 'application/json');
-        proxyReq.write(bodyData);
+/**
+ * Remove the platform's session cookie from a Cookie header, so exercises
+ * never see it
+ * @param {string} cookieHeader - Cookie header of the incoming request
+ * @returns {string} The remaining cookies, or an empty string
+ */
+function stripSessionCookie(cookieHeader) {
+    return cookieHeader
+        .split(';')
+        .map(cookie => cookie.trim())
+        .filter(cookie => cookie && cookie.split('=')[0] !== SESSION_COOKIE)
+        .join('; ');
+}
+
+/**
+ * Whether a Set-Cookie header sets the platform's session cookie
+ * @param {string} cookie - Set-Cookie header value
+ * @returns {boolean}
+ */
+function isSessionCookie(cookie) {
+    return cookie.split(';')[0].split('=')[0].trim() === SESSION_COOKIE;
+}
+
+/**
+ * Apply the headers every proxied request gets, for HTTP and WebSockets alike
+ * @param {Object} proxyReq - Outgoing request to the container
+ * @param {Object} req - Incoming request
+ */
+function prepareProxyHeaders(proxyReq, req) {
+    if (req.headers.cookie) {
+        const cookies = stripSessionCookie(req.headers.cookie);
+        if (cookies) {
+            proxyReq.setHeader('Cookie', cookies);
+        } else {
+            proxyReq.removeHeader('Cookie');
+        }
+    }
+
+    // Tell the exercise which path it is served below
+    if (req.labPrefix) {
+        proxyReq.setHeader('X-Forwarded-Prefix', req.labPrefix);
     }
+}
+
+// Handle request headers. Bodies are piped through as received.
+proxy.on('proxyReq', (proxyReq, req, res, options) => {
+    prepareProxyHeaders(proxyReq, req);
 
     logger.debug('Proxy request created:', {
         url: req.url,
@@ -56,8 +160,80 @@ proxy.on('proxyReq', (proxyReq, req, res, options) => {
     });
 });
 
+proxy.on('proxyReqWs', (proxyReq, req) => {
+    prepareProxyHeaders(proxyReq, req);
+});
+
+/**
+ * Map a Location header from an exercise served below a path back into that path
+ * @param {string} location - Location sent by the exercise
+ * @param {string} prefix - e.g. "/lab/<uuid>"
+ * @param {string} targetHost - host:port the request was proxied to
+ * @returns {string}
+ */
+function rewriteLocation(location, prefix, targetHost) {
+    // Absolute URLs pointing back at the exercise itself
+    const absolute = location.match(/^https?:\/\/([^/?#]+)(.*)$/i);
+    if (absolute) {
+        if (absolute[1] !== targetHost) {
+            return location;
+        }
+        location = absolute[2].startsWith('/') ? absolute[2] : `/${absolute[2]}`;
+    }
+
+    if (location.startsWith('/') && !location.startsWith('//') && !location.startsWith(`${prefix}/`)) {
+        return `${prefix}${location}`;
+    }
+    return location;
+}
+
+/**
+ * Move a Set-Cookie header's Path below the prefix the exercise is served at
+ * @param {string} cookie - Set-Cookie header value
+ * @param {string} prefix - e.g. "/lab/<uuid>"
+ * @returns {string}
+ */
+function rewriteCookiePath(cookie, prefix) {
+    // Without a Path the browser scopes the cookie to the request path, which
+    // already lies below the prefix
+    return cookie.replace(/(;\s*path=)([^;]*)/i, (match, attribute, value) => {
+        // Exercises that honour X-Forwarded-Prefix already set paths below it
+        if (value === prefix || value.startsWith(`${prefix}/`)) {
+            return match;
+        }
+        const path = `${prefix}${value.startsWith('/') ? value : `/${value}`}`;
+        return `${attribute}${path.length > prefix.length + 1 ? path : prefix}`;
+    });
+}
+
 // Log proxy responses
 proxy.on('proxyRes', (proxyRes, req, res) => {
+    if (req.trafficCapture) {
+        req.trafficCapture.onResponse(proxyRes);
+    }
+
+    // Exercises may not set, overwrite or clear the platform's session cookie
+    if (proxyRes.headers['set-cookie']) {
+        proxyRes.headers['set-cookie'] = proxyRes.headers['set-cookie'].filter(cookie => !isSessionCookie(cookie));
+    }
+
+    // Keep redirects and cookies of exercises served below a path inside that path
+    if (req.labPrefix) {
+        if (proxyRes.headers.location) {
+            proxyRes.headers.location = rewriteLocation(proxyRes.headers.location, req.labPrefix, proxyRes.req.getHeader('host'));
+        }
+        if (proxyRes.headers['set-cookie']) {
+            proxyRes.headers['set-cookie'] = proxyRes.headers['set-cookie'].map(cookie => rewriteCookiePath(cookie, req.labPrefix));
+        }
+
+        PATH_MODE_BLOCKED_HEADERS.forEach(name => {
+            delete proxyRes.headers[name];
+        });
+        // Browsers enforce every policy sent, so the exercise's own CSP still applies
+        const policies = [].concat(proxyRes.headers['content-security-policy'] || []);
+        proxyRes.headers['content-security-policy'] = [...policies, PATH_MODE_SANDBOX];
+    }
+
     logger.debug('Proxy response received:', {
         statusCode: proxyRes.statusCode,
         headers: proxyRes.headers,
@@ -67,13 +243,17 @@ proxy.on('proxyRes', (proxyRes, req, res) => {
 });
 
 /**
- * Extract subdomain from hostname
- * @param {string} hostname - The full hostname
- * @returns {string|null} - The subdomain or null if not found
+ * Create middleware rejecting requests for hosts outside the base domain
+ * @returns {Function} Express middleware function
  */
-function extractSubdomain(hostname) { 
-    const parts = hostname.split('.');
-    return parts.length > 2 ? parts[0] : null;
+function createHostGuard() {
+    return function hostGuard(req, res, next) {
+        if (!parseHost(req.hostname)) {
+            logger.warn('Rejected request for unknown host:', { hostname: req.hostname, ip: req.ip });
+            return res.status(421).json({ error: 'Unknown host' });
+        }
+        next();
+    };
 }
 
 /**
@@ -84,8 +264,12 @@ function extractSubdomain(hostname) {
 async function getContainerInfo(subdomain) {
     return new Promise((resolve, reject) => {
         db.get(
-            'SELECT * FROM containers WHERE subdomain = ? AND status = ?',
-            [subdomain, 'running'],
+            `SELECT c.*, COALESCE(v.metadata, i.metadata) as metadata
+             FROM containers c
+             LEFT JOIN exercise_versions v ON c.version_id = v.id
+             LEFT JOIN docker_images i ON c.image_id = i.id
+             WHERE c.subdomain = ? AND c.status IN ('starting', 'running', 'suspended')`,
+            [subdomain],
             (err, row) => {
                 if (err) reject(err);
                 resolve(row);
@@ -94,6 +278,220 @@ async function getContainerInfo(subdomain) {
     });
 }
 
+/**
+ * Answer a request turned away by the proxy limits
+ * @param {Object} res - Express response
+ * @param {Object} rejection - Rejection from admitRequest()
+ */
+function rejectOverLimit(res, { scope, limit, retryAfter }) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        error: limit === 'max_concurrent'
+            ? `Too many simultaneous requests to this ${scope === 'user' ? 'account' : 'exercise'}`
+            : `Too many requests to this ${scope === 'user' ? 'account' : 'exercise'}, slow down`,
+        scope,
+        limit,
+        retry_after: retryAfter
+    });
+}
+
+/**
+ * Answer a request whose body is over the size limit
+ * @param {Object} res - Express response
+ * @param {number} maxBodySize - Limit in bytes
+ */
+function rejectTooLarge(res, maxBodySize) {
+    // The rest of the body is never read, so the connection can't be reused
+    res.set('Connection', 'close');
+    res.status(413).json({ error: 'Request body too large', max_body_size: maxBodySize });
+}
+
+/**
+ * Cut off a request body that grows past the size limit while streaming,
+ * for chunked requests and ones that understate their Content-Length
+ * @param {Object} req - Incoming request, already piped to the proxy
+ * @param {Object} res - Express response
+ * @param {number} maxBodySize - Limit in bytes
+ */
+function enforceBodyLimit(req, res, maxBodySize) {
+    let received = 0;
+    req.on('data', chunk => {
+        received += chunk.length;
+        if (received <= maxBodySize || req.bodyLimitExceeded) {
+            return;
+        }
+        req.bodyLimitExceeded = true;
+        req.unpipe();
+        logger.warn('Request body over the size limit:', { url: req.originalUrl, maxBodySize });
+
+        // Closing the connection also aborts the request to the container
+        if (res.headersSent) {
+            req.socket.destroy();
+        } else {
+            res.once('finish', () => req.socket.destroy());
+            rejectTooLarge(res, maxBodySize);
+        }
+    });
+}
+
+/**
+ * Proxy target of a launch. Launches are reached at their address on their
+ * own network; older launches were published on a host port.
+ * @param {Object} container - Container row
+ * @returns {string}
+ */
+function launchTarget(container) {
+    return container.container_ip
+        ? `http://${container.container_ip}:${container.container_port}`
+        : `http://localhost:${container.host_port}`;
+}
+
+/**
+ * Send a visitor without a platform session to the login page, returning
+ * them to the exercise afterwards. Other than page loads, requests get a 401.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function requireLogin(req, res) {
+    if (req.method === 'GET' && req.accepts('html')) {
+        const next = `https://${req.headers.host}${req.originalUrl}`;
+        return res.redirect(302, `${platformUrl()}/?next=${encodeURIComponent(next)}`);
+    }
+    res.status(401).json({ error: 'Unauthorized' });
+}
+
+/**
+ * Proxy a request to the entry container of a launch
+ * @param {string} subdomain - Launch subdomain
+ * @param {Object} req - Express request, with the URL as the container should see it
+ * @param {Object} res - Express response
+ * @param {Object} [options] - { prefix } when the launch is served below a path
+ */
+async function proxyToLaunch(subdomain, req, res, { prefix = null } = {}) {
+    try {
+        if (!req.session || !req.session.userId) {
+            return requireLogin(req, res);
+        }
+
+        const container = await getContainerInfo(subdomain);
+
+        if (!container) {
+            logger.warn('Container not found or not running:', { subdomain });
+            return res.status(404).json({
+                error: 'Container not found or not running',
+                subdomain
+            });
+        }
+
+        // Only the trainee who launched it, admins and holders of a share link
+        if (!ShareService.canAccess(req.session, container)) {
+            logger.warn('Rejected request for another user\'s container:', {
+                subdomain,
+                userId: req.session.userId
+            });
+            return res.status(403).send(FORBIDDEN_PAGE);
+        }
+
+        if (container.status === 'suspended') {
+            return res.status(503).send(SUSPENDED_PAGE);
+        }
+
+        // Don't proxy until the exercise passes its health check
+        if (container.status === 'starting') {
+            res.set('Retry-After', '3');
+            return res.status(503).send(STARTING_PAGE);
+        }
+
+        // Throttle per launch and per user, before anything reaches the container
+        const limits = resolveProxyLimits(container.metadata, await SettingsService.get('proxy_limits'));
+        if (parseInt(req.headers['content-length'], 10) > limits.max_body_size) {
+            return rejectTooLarge(res, limits.max_body_size);
+        }
+        const captureSettings = await SettingsService.get('traffic_capture');
+
+        const admission = admitRequest({ subdomain, userId: req.session.userId, limits });
+        if (!admission.allowed) {
+            logger.debug('Proxy limit reached:', {
+                subdomain,
+                userId: req.session.userId,
+                scope: admission.scope,
+                limit: admission.limit
+            });
+            return rejectOverLimit(res, admission);
+        }
+        res.once('close', admission.release);
+
+        // Keep the launch from being reaped as idle
+        DockerService.recordActivity(subdomain).catch(error => {
+            logger.error('Error recording container activity:', error);
+        });
+
+        const target = launchTarget(container);
+        
+        logger.debug('About to proxy request:', { 
+            subdomain, 
+            target, 
+            url: req.url,
+            method: req.method,
+            headers: req.headers
+        });
+
+        // Read by the proxyReq and proxyRes handlers
+        req.labPrefix = prefix;
+
+        // Proxy the request with default config
+        proxy.web(req, res, { 
+            ...DEFAULT_PROXY_CONFIG,
+            target
+        }, (err) => {
+            if (err) {
+                logger.error('Proxy web error:', {
+                    error: err.message,
+                    stack: err.stack,
+                    target,
+                    url: req.url,
+                    method: req.method
+                });
+                if (!res.headersSent) {
+                    res.status(502).json({
+                        error: 'Proxy error',
+                        message: err.message
+                    });
+                }
+            }
+        });
+
+        // Bodies are tapped only once proxy.web() has piped them, in the same
+        // tick, so the outgoing request gets its socket before any data flows
+        enforceBodyLimit(req, res, limits.max_body_size);
+
+        // Record the exchange for review when traffic capture is on
+        if (captureSettings.enabled) {
+            req.trafficCapture = TrafficService.capture(req, res, container, captureSettings);
+        }
+
+        logger.debug('proxy.web called:', {
+            target,
+            url: req.url,
+            method: req.method
+        });
+
+    } catch (error) {
+        logger.error('Error handling container request:', {
+            error: error.message,
+            stack: error.stack,
+            url: req.url,
+            method: req.method
+        });
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    }
+}
+
 /**
  * Create middleware for handling subdomain-based routing to containers
  * @returns {Function} Express middleware function
@@ -110,82 +508,186 @@ function createSubdomainHandler() {
             headers: req.headers
         });
 
-        // Pass through to main app if no valid subdomain
-        if (!subdomain || !validateUUID(subdomain)) {
+        // Pass through to main app for the platform's own host
+        if (!subdomain) {
             return next();
         }
 
-        try {
-            const container = await getContainerInfo(subdomain);
+        await proxyToLaunch(subdomain, req, res);
+    };
+}
 
-            if (!container) {
-                logger.warn('Container not found or not running:', { subdomain });
-                return res.status(404).json({
-                    error: 'Container not found or not running',
-                    subdomain
-                });
-            }
+/**
+ * Create middleware serving containers below /lab/<uuid>/ on the platform's
+ * own host, for setups without wildcard DNS
+ * @returns {Function} Express middleware function
+ */
+function createPathHandler() {
+    return async function pathHandler(req, res, next) {
+        const match = req.url.match(LAB_PATH);
+        if (!match) {
+            return next();
+        }
 
-            // Update container activity timestamp
-            const activityCallback = global.containerActivity.get(subdomain);
-            if (activityCallback) {
-                activityCallback();
-            }
+        const [, subdomain, rest] = match;
+        const prefix = `/lab/${subdomain}`;
 
-            const target = `http://localhost:${container.host_port}`;
-            
-            logger.debug('About to proxy request:', { 
-                subdomain, 
-                target, 
-                url: req.url,
-                method: req.method,
-                headers: req.headers,
-                body: req.body
-            });
+        // Relative links in the exercise only resolve below the trailing slash
+        if (!rest || rest.startsWith('?')) {
+            return res.redirect(301, `${prefix}/${rest || ''}`);
+        }
 
-            // Proxy the request with default config
-            proxy.web(req, res, { 
-                ...DEFAULT_PROXY_CONFIG,
-                target
-            }, (err) => {
+        logger.debug('Processing lab path request:', {
+            subdomain,
+            url: req.url,
+            method: req.method
+        });
+
+        req.url = rest;
+        await proxyToLaunch(subdomain, req, res, { prefix });
+    };
+}
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP response
+ * @param {Object} socket - Client socket
+ * @param {number} status - HTTP status code
+ * @param {string} message - Response body
+ */
+function rejectUpgrade(socket, status, message) {
+    if (!socket.writable) {
+        return;
+    }
+    socket.end(
+        `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+        'Connection: close\r\n' +
+        'Content-Type: text/plain; charset=utf-8\r\n' +
+        `Content-Length: ${Buffer.byteLength(message)}\r\n\r\n` +
+        message
+    );
+}
+
+/**
+ * Launch subdomain a WebSocket upgrade is addressed to, by host or below /lab/<uuid>/
+ * @param {Object} req - Upgrade request; its URL is rewritten for path routing
+ * @param {string} routingMode - "subdomain" or "path"
+ * @returns {string|null}
+ */
+function resolveUpgradeTarget(req, routingMode) {
+    if (routingMode === 'path') {
+        const match = req.url.match(LAB_PATH);
+        if (!match) {
+            return null;
+        }
+        req.labPrefix = `/lab/${match[1]}`;
+        req.url = match[2] && match[2].startsWith('/') ? match[2] : `/${match[2] || ''}`;
+        return match[1];
+    }
+
+    const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+    return extractSubdomain(hostname);
+}
+
+/**
+ * Create the server 'upgrade' listener proxying WebSockets to launches, for
+ * the same users as HTTP requests
+ * @param {Object} options
+ * @param {Function} options.sessionMiddleware - The platform's session middleware
+ * @param {string} options.routingMode - "subdomain" or "path"
+ * @returns {Function} Listener for the server's 'upgrade' event
+ */
+function createUpgradeHandler({ sessionMiddleware, routingMode }) {
+    return function upgradeHandler(req, socket, head) {
+        socket.on('error', (error) => {
+            logger.debug('WebSocket client error:', { error: error.message, url: req.url });
+        });
+
+        const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+        if (!parseHost(hostname)) {
+            logger.warn('Rejected WebSocket for unknown host:', { hostname, ip: socket.remoteAddress });
+            return rejectUpgrade(socket, 421, 'Unknown host');
+        }
+
+        const subdomain = resolveUpgradeTarget(req, routingMode);
+        if (!subdomain) {
+            return rejectUpgrade(socket, 404, 'Not found');
+        }
+
+        sessionMiddleware(req, {}, async (err) => {
+            try {
                 if (err) {
-                    logger.error('Proxy web error:', {
-                        error: err.message,
-                        stack: err.stack,
-                        target,
-                        url: req.url,
-                        method: req.method
+                    throw err;
+                }
+                if (!req.session || !req.session.userId) {
+                    return rejectUpgrade(socket, 401, 'Unauthorized');
+                }
+
+                const container = await getContainerInfo(subdomain);
+                if (!container) {
+                    return rejectUpgrade(socket, 404, 'Container not found or not running');
+                }
+                if (!ShareService.canAccess(req.session, container)) {
+                    logger.warn('Rejected WebSocket for another user\'s container:', {
+                        subdomain,
+                        userId: req.session.userId
                     });
-                    if (!res.headersSent) {
-                        res.status(502).json({
-                            error: 'Proxy error',
-                            message: err.message
-                        });
-                    }
+                    return rejectUpgrade(socket, 403, 'Forbidden');
+                }
+                if (container.status !== 'running') {
+                    return rejectUpgrade(socket, 503, 'Exercise is not running');
                 }
-            });
 
-            logger.debug('proxy.web called:', {
-                target,
-                url: req.url,
-                method: req.method
-            });
+                // Handshakes count against the request rate; open sockets don't
+                // hold a concurrency slot
+                const limits = resolveProxyLimits(container.metadata, await SettingsService.get('proxy_limits'));
+                const admission = admitRequest({ subdomain, userId: req.session.userId, limits, concurrent: false });
+                if (!admission.allowed) {
+                    return rejectUpgrade(socket, 429, 'Too many requests');
+                }
 
-        } catch (error) {
-            logger.error('Error handling subdomain request:', {
-                error: error.message,
-                stack: error.stack,
-                url: req.url,
-                method: req.method
-            });
-            if (!res.headersSent) {
-                res.status(500).json({
-                    error: 'Internal server error',
-                    message: error.message
+                // Messages from the trainee keep the launch from being reaped as idle
+                const recordActivity = () => DockerService.recordActivity(subdomain).catch(error => {
+                    logger.error('Error recording container activity:', error);
                 });
+                recordActivity();
+                let bytesRead = socket.bytesRead;
+                const activityTimer = setInterval(() => {
+                    if (socket.bytesRead !== bytesRead) {
+                        bytesRead = socket.bytesRead;
+                        recordActivity();
+                    }
+                }, WEBSOCKET_ACTIVITY_INTERVAL);
+                activityTimer.unref();
+                socket.on('close', () => clearInterval(activityTimer));
+
+                const target = launchTarget(container);
+                logger.debug('Proxying WebSocket:', { subdomain, target, url: req.url });
+
+                proxy.ws(req, socket, head, { ...DEFAULT_PROXY_CONFIG, target }, (proxyErr) => {
+                    logger.error('Proxy WebSocket error:', {
+                        error: proxyErr.message,
+                        target,
+                        url: req.url
+                    });
+                    rejectUpgrade(socket, 502, 'Proxy error');
+                });
+            } catch (error) {
+                logger.error('Error handling WebSocket upgrade:', {
+                    error: error.message,
+                    stack: error.stack,
+                    url: req.url
+                });
+                rejectUpgrade(socket, 500, 'Internal server error');
             }
-        }
+        });
     };
 }
 
-module.exports = { createSubdomainHandler }; 
\ No newline at end of file
+module.exports = {
+    createSubdomainHandler,
+    createPathHandler,
+    createHostGuard,
+    createUpgradeHandler,
+    rewriteLocation,
+    rewriteCookiePath
+};
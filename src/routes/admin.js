@@ -2,6 +2,11 @@ const express = require('express');
 const { isAdmin } = require('../routes/auth');
 const { logger } = require('../utils/logger');
 const { db } = require('../db/init');
+const { ProgressService } = require('../services/progress');
+const { SettingsService } = require('../services/settings');
+const { SystemLogger } = require('../services/logger');
+const { ShareService, SHARE_DEFAULT_MINUTES } = require('../services/shares');
+const { exerciseUrl, platformUrl } = require('../utils/domain');
 
 const router = express.Router();
 
@@ -70,6 +75,22 @@ router.delete('/users/:userId', isAdmin, async (req, res) => {
             });
         });
 
+        // Delete user's goal progress
+        await new Promise((resolve, reject) => {
+            db.run('DELETE FROM goal_progress WHERE user_id = ?', [userId], (err) => {
+                if (err) reject(err);
+                resolve();
+            });
+        });
+
+        // Delete flags issued to the user
+        await new Promise((resolve, reject) => {
+            db.run('DELETE FROM exercise_flags WHERE user_id = ?', [userId], (err) => {
+                if (err) reject(err);
+                resolve();
+            });
+        });
+
         // Delete user
         await new Promise((resolve, reject) => {
             db.run('DELETE FROM users WHERE id = ?', [userId], (err) => {
@@ -98,6 +119,8 @@ router.get('/users/:userId/progress', isAdmin, async (req, res) => {
                     ep.status,
                     ep.attempts,
                     ep.completed_at,
+                    di.id as image_id,
+                    di.metadata,
                     (SELECT COUNT(*) FROM containers 
                      WHERE user_id = ? AND image_id = di.id) as container_launches
                  FROM docker_images di
@@ -111,6 +134,18 @@ router.get('/users/:userId/progress', isAdmin, async (req, res) => {
             );
         });
 
+        const completedGoals = await ProgressService.getCompletedGoals(userId);
+        progress.forEach(row => {
+            const summary = ProgressService.summarize(
+                row.metadata,
+                completedGoals.filter(goal => goal.image_id === row.image_id)
+            );
+            row.goals = summary.goals;
+            row.goals_total = summary.goals_total;
+            row.goals_completed = summary.goals_completed;
+            delete row.metadata;
+        });
+
         res.json({ progress });
     } catch (error) {
         logger.error('Error getting user progress:', error);
@@ -126,7 +161,7 @@ router.get('/stats', isAdmin, async (req, res) => {
                 `SELECT
                     (SELECT COUNT(*) FROM users WHERE role != 'admin') as total_users,
                     (SELECT COUNT(*) FROM docker_images) as total_exercises,
-                    (SELECT COUNT(*) FROM containers WHERE status = 'running') as active_containers,
+                    (SELECT COUNT(*) FROM containers WHERE status IN ('starting', 'running')) as active_containers,
                     (SELECT COUNT(*) FROM exercise_progress WHERE status = 'completed') as total_completions`,
                 (err, row) => {
                     if (err) reject(err);
@@ -155,7 +190,7 @@ router.get('/containers', isAdmin, async (req, res) => {
                  FROM containers c
                  JOIN users u ON c.user_id = u.id
                  JOIN docker_images di ON c.image_id = di.id
-                 WHERE c.status = 'running'
+                 WHERE c.status IN ('starting', 'running')
                  ORDER BY c.created_at DESC`,
                 (err, rows) => {
                     if (err) reject(err);
@@ -164,7 +199,7 @@ router.get('/containers', isAdmin, async (req, res) => {
             );
         });
 
-        res.json({ containers });
+        res.json({ containers: containers.map(container => ({ ...container, url: exerciseUrl(container.subdomain) })) });
     } catch (error) {
         logger.error('Error getting containers:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -185,6 +220,76 @@ router.post('/containers/:containerId/stop', isAdmin, async (req, res) => {
     }
 });
 
+// Mint a short-lived link letting other signed-in users into a container
+router.post('/containers/:containerId/share', isAdmin, async (req, res) => {
+    try {
+        const { containerId } = req.params;
+        const minutes = req.body.minutes === undefined ? SHARE_DEFAULT_MINUTES : req.body.minutes;
+
+        const container = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM containers WHERE container_id = ? AND status IN ('starting', 'running', 'suspended')`,
+                [containerId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        if (!container) {
+            return res.status(404).json({ error: 'Container not found' });
+        }
+
+        let share;
+        try {
+            share = await ShareService.create(container.subdomain, req.session.userId, minutes);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        await SystemLogger.logEvent('container_shared', req.session.userId, containerId, {
+            subdomain: container.subdomain,
+            owner_id: container.user_id,
+            expires_at: share.expires_at
+        });
+
+        res.json({
+            url: `${platformUrl()}/api/containers/shared/${share.token}`,
+            expires_at: share.expires_at
+        });
+    } catch (error) {
+        logger.error('Error sharing container:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get platform settings
+router.get('/settings', isAdmin, async (req, res) => {
+    try {
+        const settings = await SettingsService.getAll();
+        res.json({ settings });
+    } catch (error) {
+        logger.error('Error getting settings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a platform setting
+router.put('/settings/:key', isAdmin, async (req, res) => {
+    try {
+        const { key } = req.params;
+        const value = await SettingsService.set(key, req.body);
+
+        await SystemLogger.logEvent('settings_updated', req.session.userId, key, { value });
+
+        res.json({ message: 'Setting updated successfully', value });
+    } catch (error) {
+        logger.error('Error updating setting:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // Get system logs
 router.get('/logs', isAdmin, async (req, res) => {
     try {
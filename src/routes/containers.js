@@ -3,6 +3,11 @@ const { DockerService } = require('../services/docker');
 const { isAuthenticated } = require('../routes/auth');
 const { logger } = require('../utils/logger');
 const { db } = require('../db/init');
+const { CallbackService } = require('../services/callbacks');
+const { SystemLogger } = require('../services/logger');
+const { ShareService } = require('../services/shares');
+const { CompletionError } = require('../services/progress');
+const { exerciseHost, exerciseUrl, platformUrl } = require('../utils/domain');
 
 const router = express.Router();
 
@@ -11,10 +16,10 @@ router.get('/', isAuthenticated, async (req, res) => {
     try {
         const containers = await new Promise((resolve, reject) => {
             db.all(
-                `SELECT c.*, i.name as image_name, i.level, i.description
+                `SELECT c.*, i.name as image_name, i.level, i.description, i.extension_policy
                  FROM containers c 
                  JOIN docker_images i ON c.image_id = i.id 
-                 WHERE c.user_id = ? AND c.status = 'running'
+                 WHERE c.user_id = ? AND c.status IN ('starting', 'running', 'suspended')
                  ORDER BY c.created_at DESC`,
                 [req.session.userId],
                 (err, rows) => {
@@ -24,13 +29,42 @@ router.get('/', isAuthenticated, async (req, res) => {
             );
         });
 
-        res.json({ containers });
+        // Include the time left before the container is stopped
+        const withBudget = await DockerService.withBudget(containers);
+        res.json({ containers: withBudget.map(container => ({ ...container, url: exerciseUrl(container.subdomain) })) });
     } catch (error) {
         logger.error('Error getting containers:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Open a launch through a share link minted by an admin
+router.get('/shared/:token', async (req, res) => {
+    try {
+        // Share links are only for signed-in users; come back here after login
+        if (!req.session.userId) {
+            const next = `${platformUrl()}${req.originalUrl}`;
+            return res.redirect(302, `/?next=${encodeURIComponent(next)}`);
+        }
+
+        const share = await ShareService.find(req.params.token);
+        if (!share) {
+            return res.status(404).json({ error: 'Share link is invalid or has expired' });
+        }
+
+        ShareService.grant(req.session, share);
+        await SystemLogger.logEvent('container_share_opened', req.session.userId, share.subdomain, {
+            share_id: share.id,
+            owner_id: share.user_id
+        });
+
+        res.redirect(302, exerciseUrl(share.subdomain));
+    } catch (error) {
+        logger.error('Error opening shared container:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Launch new container
 router.post('/launch/:imageId', isAuthenticated, async (req, res) => {
     try {
@@ -39,8 +73,8 @@ router.post('/launch/:imageId', isAuthenticated, async (req, res) => {
         // Check if user already has a running container for this image
         const existingContainer = await new Promise((resolve, reject) => {
             db.get(
-                'SELECT * FROM containers WHERE user_id = ? AND image_id = ? AND status = ?',
-                [req.session.userId, imageId, 'running'],
+                `SELECT * FROM containers WHERE user_id = ? AND image_id = ? AND status IN ('starting', 'running', 'suspended')`,
+                [req.session.userId, imageId],
                 (err, row) => {
                     if (err) reject(err);
                     resolve(row);
@@ -48,11 +82,20 @@ router.post('/launch/:imageId', isAuthenticated, async (req, res) => {
             );
         });
 
+        if (existingContainer && existingContainer.status === 'suspended') {
+            return res.status(400).json({
+                error: 'Suspended container exists for this exercise',
+                containerId: existingContainer.container_id,
+                message: 'You have a suspended instance of this exercise. Please resume it or stop it first.'
+            });
+        }
+
         if (existingContainer) {
             return res.status(400).json({
                 error: 'Container already running for this exercise',
                 containerId: existingContainer.container_id,
-                subdomain: `${existingContainer.subdomain}.apptraining.dbg.local`,
+                subdomain: exerciseHost(existingContainer.subdomain),
+                url: exerciseUrl(existingContainer.subdomain),
                 message: 'You already have a running instance of this exercise. Please use the existing container or stop it first.'
             });
         }
@@ -60,8 +103,8 @@ router.post('/launch/:imageId', isAuthenticated, async (req, res) => {
         // Check total number of running containers for user
         const runningContainers = await new Promise((resolve, reject) => {
             db.get(
-                'SELECT COUNT(*) as count FROM containers WHERE user_id = ? AND status = ?',
-                [req.session.userId, 'running'],
+                `SELECT COUNT(*) as count FROM containers WHERE user_id = ? AND status IN ('starting', 'running')`,
+                [req.session.userId],
                 (err, row) => {
                     if (err) reject(err);
                     resolve(row);
@@ -79,13 +122,15 @@ router.post('/launch/:imageId', isAuthenticated, async (req, res) => {
         // Create new container
         const containerInfo = await DockerService.createContainer(imageId, req.session.userId);
 
-        // Update exercise progress
+        // Update exercise progress (goal progress carries over, so completed exercises stay completed)
         await new Promise((resolve, reject) => {
             db.run(
-                `INSERT OR REPLACE INTO exercise_progress (user_id, image_id, status, attempts)
-                 VALUES (?, ?, 'in_progress', COALESCE((SELECT attempts + 1 FROM exercise_progress 
-                 WHERE user_id = ? AND image_id = ?), 1))`,
-                [req.session.userId, imageId, req.session.userId, imageId],
+                `INSERT INTO exercise_progress (user_id, image_id, status, attempts)
+                 VALUES (?, ?, 'in_progress', 1)
+                 ON CONFLICT(user_id, image_id) DO UPDATE SET
+                    attempts = attempts + 1,
+                    status = CASE WHEN status = 'completed' THEN status ELSE 'in_progress' END`,
+                [req.session.userId, imageId],
                 (err) => {
                     if (err) reject(err);
                     resolve();
@@ -129,12 +174,191 @@ router.post('/:containerId/stop', isAuthenticated, async (req, res) => {
     }
 });
 
+// Reset a container to a clean state, keeping its subdomain
+router.post('/:containerId/reset', isAuthenticated, async (req, res) => {
+    try {
+        const { containerId } = req.params;
+
+        // Verify container belongs to user
+        const container = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM containers WHERE container_id = ? AND user_id = ? AND status = 'running'`,
+                [containerId, req.session.userId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        if (!container) {
+            return res.status(404).json({ error: 'Container not found' });
+        }
+
+        const containerInfo = await DockerService.resetContainer(containerId);
+        if (!containerInfo) {
+            return res.status(409).json({
+                error: 'Container is not running',
+                message: 'Wait for the container to finish starting before resetting it.'
+            });
+        }
+        res.json(containerInfo);
+    } catch (error) {
+        logger.error('Error resetting container:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Resume a suspended container
+router.post('/:containerId/resume', isAuthenticated, async (req, res) => {
+    try {
+        const { containerId } = req.params;
+
+        // Verify container belongs to user
+        const container = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM containers WHERE container_id = ? AND user_id = ? AND status = 'suspended'`,
+                [containerId, req.session.userId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        if (!container) {
+            return res.status(404).json({ error: 'Container not found' });
+        }
+
+        // Resumed containers count against the running quota again
+        const runningContainers = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT COUNT(*) as count FROM containers WHERE user_id = ? AND status IN ('starting', 'running')`,
+                [req.session.userId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        if (runningContainers.count >= 3) {
+            return res.status(400).json({
+                error: 'Maximum container limit reached',
+                message: 'You can only have 3 active containers at a time. Please stop an existing container before resuming this one.'
+            });
+        }
+
+        await DockerService.resumeContainer(containerId);
+        res.json({
+            containerId,
+            subdomain: exerciseHost(container.subdomain),
+            url: exerciseUrl(container.subdomain),
+            status: 'starting'
+        });
+    } catch (error) {
+        logger.error('Error resuming container:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Extend a container's lifetime
+router.post('/:containerId/extend', isAuthenticated, async (req, res) => {
+    try {
+        const { containerId } = req.params;
+
+        // Verify container belongs to user
+        const container = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM containers WHERE container_id = ? AND user_id = ? AND status IN ('starting', 'running')`,
+                [containerId, req.session.userId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        if (!container) {
+            return res.status(404).json({ error: 'Container not found' });
+        }
+
+        const budget = await DockerService.extendContainer(containerId);
+        if (!budget) {
+            return res.status(409).json({
+                error: 'No extensions left',
+                message: 'This container has already been extended as often as the exercise allows.'
+            });
+        }
+
+        res.json({ message: 'Container extended successfully', budget });
+    } catch (error) {
+        logger.error('Error extending container:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Verify a signed completion callback and record the goal it reports. Shared
+ * by the public route and the internal API so both accept the same callbacks.
+ * @param {Object} req - Express request (with rawBody captured by the JSON parser)
+ * @param {Object} res - Express response
+ * @param {string} subdomain - Launch the callback is for
+ * @param {Object} [container] - containers row of that launch, if there is one
+ */
+async function handleCompletionCallback(req, res, subdomain, container) {
+    try {
+        // Only the container holding the launch secret may report its goals
+        const verification = CallbackService.verify(container, req);
+        if (!verification.valid) {
+            logger.warn('Rejected completion callback:', { subdomain, reason: verification.reason, ip: req.ip });
+            // Only attempts against a real launch reach the system logs, so requests
+            // for made-up subdomains can't flood them
+            if (container) {
+                await SystemLogger.logEvent('completion_rejected', container.user_id, container.container_id, {
+                    reason: verification.reason,
+                    goal_id: req.body && req.body.goal_id,
+                    subdomain,
+                    ip: req.ip
+                });
+            }
+            return res.status(401).json({ error: 'Invalid completion callback' });
+        }
+
+        if (typeof req.body.goal_id !== 'string' || !req.body.goal_id) {
+            return res.status(400).json({ error: 'goal_id is required' });
+        }
+
+        const progress = await DockerService.handleExerciseCompletion(subdomain, req.body);
+        res.json({
+            success: true,
+            goal_id: progress.goal_id,
+            goals_completed: progress.goals_completed,
+            goals_total: progress.goals_total,
+            complete: progress.complete
+        });
+    } catch (error) {
+        if (error instanceof CompletionError) {
+            return res.status(400).json({ error: error.message });
+        }
+        logger.error('Error handling exercise completion:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
 // Handle exercise completion callback
 router.post('/:subdomain/complete', async (req, res) => {
     try {
         const { subdomain } = req.params;
-        const result = await DockerService.handleExerciseCompletion(subdomain, req.body);
-        res.json({ success: result });
+
+        const container = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM containers WHERE subdomain = ?', [subdomain], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        await handleCompletionCallback(req, res, subdomain, container);
     } catch (error) {
         logger.error('Error handling exercise completion:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -144,11 +368,13 @@ router.post('/:subdomain/complete', async (req, res) => {
 // Track container activity
 router.use('/:subdomain/*', (req, res, next) => {
     const { subdomain } = req.params;
-    const activityCallback = global.containerActivity.get(subdomain);
-    if (activityCallback) {
-        activityCallback();
-    }
+    DockerService.recordActivity(subdomain).catch(error => {
+        logger.error('Error recording container activity:', error);
+    });
     next();
 });
 
-module.exports = { router }; 
\ No newline at end of file
+module.exports = {
+    router,
+    handleCompletionCallback
+};
\ No newline at end of file
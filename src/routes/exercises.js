@@ -2,11 +2,17 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const tar = require('tar');
-const AdmZip = require('adm-zip');
 const { isAuthenticated, isAdmin } = require('../routes/auth');
 const { logger } = require('../utils/logger');
 const { db } = require('../db/init');
+const { ProgressService, getGoals } = require('../services/progress');
+const { FlagService, getFlagConfig } = require('../services/flags');
+const { SystemLogger } = require('../services/logger');
+const { validatePackage, PackageValidationError } = require('../services/validator');
+const { extractArchive, findPackageRoot } = require('../services/archive');
+const { BuildService } = require('../services/builds');
+const { ExerciseService, imageTagFor } = require('../services/exercises');
+const { normalizeExtensionPolicy } = require('../services/lifetime');
 const Docker = require('dockerode');
 
 const router = express.Router();
@@ -36,6 +42,23 @@ const upload = multer({
     }
 });
 
+/**
+ * Extract an uploaded exercise package
+ * @param {Object} file - Multer file
+ * @param {string} extractPath - Directory to extract into
+ */
+async function extractPackage(file, extractPath) {
+    try {
+        await extractArchive(file.path, file.originalname, extractPath);
+    } catch (extractError) {
+        logger.error('Extraction error:', extractError);
+        throw new Error('Failed to extract exercise files: ' + extractError.message);
+    }
+
+    const files = await fs.readdir(extractPath);
+    logger.info('Extracted files:', files);
+}
+
 // Get all exercises
 router.get('/', isAuthenticated, async (req, res) => {
     try {
@@ -54,6 +77,18 @@ router.get('/', isAuthenticated, async (req, res) => {
             );
         });
 
+        // Attach per-goal progress for the current user
+        const completedGoals = await ProgressService.getCompletedGoals(req.session.userId);
+        exercises.forEach(exercise => {
+            const summary = ProgressService.summarize(
+                exercise.metadata,
+                completedGoals.filter(row => row.image_id === exercise.id)
+            );
+            exercise.goals = summary.goals;
+            exercise.goals_total = summary.goals_total;
+            exercise.goals_completed = summary.goals_completed;
+        });
+
         res.json({ exercises });
     } catch (error) {
         logger.error('Error getting exercises:', error);
@@ -61,6 +96,54 @@ router.get('/', isAuthenticated, async (req, res) => {
     }
 });
 
+// Submit a flag for a goal
+router.post('/:id/goals/:goalId/submit', isAuthenticated, async (req, res) => {
+    try {
+        const { id, goalId } = req.params;
+        const { flag } = req.body;
+
+        if (typeof flag !== 'string' || !flag.trim()) {
+            return res.status(400).json({ error: 'Flag is required' });
+        }
+
+        const image = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM docker_images WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        if (!image) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        const goal = getGoals(image.metadata).find(g => g.id === goalId);
+        if (!goal || !getFlagConfig(goal)) {
+            return res.status(404).json({ error: 'Goal does not accept flag submissions' });
+        }
+
+        const correct = await FlagService.verifyFlag(req.session.userId, image.id, goalId, flag);
+        if (!correct) {
+            await SystemLogger.logEvent('flag_rejected', req.session.userId, goalId, {
+                image_id: image.id,
+                ip: req.ip
+            });
+            return res.json({ correct: false });
+        }
+
+        const progress = await ProgressService.recordGoal(req.session.userId, image, goalId, { source: 'flag' });
+        res.json({
+            correct: true,
+            goals_completed: progress.goals_completed,
+            goals_total: progress.goals_total,
+            complete: progress.complete
+        });
+    } catch (error) {
+        logger.error('Error submitting flag:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Upload new exercise
 router.post('/upload', isAdmin, upload.single('exercise'), async (req, res) => {
     try {
@@ -86,212 +169,293 @@ router.post('/upload', isAdmin, upload.single('exercise'), async (req, res) => {
             extractPath
         });
 
-        // Create extraction directory
-        await fs.mkdir(extractPath, { recursive: true });
-        logger.info('Created extraction directory');
+        await extractPackage(req.file, extractPath);
 
-        try {
-            // Extract uploaded file based on type
-            if (req.file.originalname.match(/\.(tar\.gz|tgz)$/)) {
-                logger.info('Extracting tar.gz/tgz file');
-                await tar.x({
-                    file: uploadPath,
-                    cwd: extractPath
-                });
-            } else if (req.file.originalname.endsWith('.tar')) {
-                logger.info('Extracting tar file');
-                await tar.x({
-                    file: uploadPath,
-                    cwd: extractPath
-                });
-            } else if (req.file.originalname.endsWith('.zip')) {
-                logger.info('Extracting zip file');
-                const zip = new AdmZip(uploadPath);
-                zip.extractAllTo(extractPath, true);
-            }
-            logger.info('File extraction completed');
-        } catch (extractError) {
-            logger.error('Extraction error:', extractError);
-            throw new Error('Failed to extract exercise files: ' + extractError.message);
+        // Validate metadata and Dockerfile before building anything
+        const validation = await validatePackage(await findPackageRoot(extractPath));
+        if (!validation.valid) {
+            logger.error('Exercise package failed validation:', validation.problems);
+            throw new PackageValidationError(validation.problems);
         }
+        const { metadata } = validation;
+
+        // Each upload adds a new version of the exercise
+        await ExerciseService.assertNewVersion(metadata);
 
-        // Validate exercise structure
-        const files = await fs.readdir(extractPath);
-        logger.info('Extracted files:', files);
+        // Queue the Docker image build; the job owns the extracted files from here on
+        const job = await BuildService.enqueue({
+            filename: req.file.originalname,
+            uploadPath,
+            contextPath: extractPath,
+            imageTag: imageTagFor(metadata),
+            metadata,
+            userId: req.session.userId,
+            activate: req.body.activate === 'true'
+        });
 
-        if (!files.includes('Dockerfile')) {
-            logger.error('Missing Dockerfile');
-            throw new Error('Missing required file: Dockerfile');
+        res.status(202).json({
+            message: 'Exercise build queued',
+            job
+        });
+    } catch (error) {
+        logger.error('Error uploading exercise:', error);
+        // Clean up on error
+        if (req.file) {
+            try {
+                await fs.unlink(req.file.path);
+                const extractPath = path.join('./uploads/exercises', path.parse(req.file.filename).name);
+                await fs.rm(extractPath, { recursive: true, force: true });
+            } catch (cleanupError) {
+                logger.error('Error cleaning up after failed upload:', cleanupError);
+            }
         }
-        if (!files.includes('metadata.json')) {
-            logger.error('Missing metadata.json');
-            throw new Error('Missing required file: metadata.json');
+        res.status(400).json({ error: error.message, problems: error.problems });
+    }
+});
+
+// Check an exercise package without building it
+router.post('/validate', isAdmin, upload.single('exercise'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const extractPath = path.join('./uploads/exercises', path.parse(req.file.filename).name);
+
+    try {
+        await extractPackage(req.file, extractPath);
+        const { metadata, problems, valid } = await validatePackage(await findPackageRoot(extractPath));
+
+        if (valid) {
+            try {
+                await ExerciseService.assertNewVersion(metadata);
+            } catch (versionError) {
+                problems.push({ file: 'metadata.json', path: 'version', severity: 'error', message: versionError.message });
+            }
         }
 
-        // Read and validate metadata
-        const metadataContent = await fs.readFile(path.join(extractPath, 'metadata.json'), 'utf8');
-        logger.info('Read metadata.json:', metadataContent);
-        
-        let metadata;
+        res.json({
+            valid: !problems.some(problem => problem.severity === 'error'),
+            problems
+        });
+    } catch (error) {
+        logger.error('Error validating exercise:', error);
+        res.status(400).json({ error: error.message });
+    } finally {
         try {
-            metadata = JSON.parse(metadataContent);
-            logger.info('Parsed metadata:', metadata);
-        } catch (parseError) {
-            logger.error('Metadata parse error:', parseError);
-            throw new Error('Invalid metadata.json format: ' + parseError.message);
+            await fs.rm(req.file.path, { force: true });
+            await fs.rm(extractPath, { recursive: true, force: true });
+        } catch (cleanupError) {
+            logger.error('Error cleaning up after validation:', cleanupError);
         }
+    }
+});
 
-        if (!metadata.title) {
-            logger.error('Missing metadata.title');
-            throw new Error('Missing required metadata field: title');
+// List recent image builds
+router.get('/builds', isAdmin, async (req, res) => {
+    try {
+        const builds = await BuildService.listJobs();
+        res.json({ builds });
+    } catch (error) {
+        logger.error('Error getting builds:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get an image build with its output
+router.get('/builds/:jobId', isAdmin, async (req, res) => {
+    try {
+        const build = await BuildService.getJob(req.params.jobId);
+        if (!build) {
+            return res.status(404).json({ error: 'Build not found' });
         }
-        if (!metadata.description) {
-            logger.error('Missing metadata.description');
-            throw new Error('Missing required metadata field: description');
+
+        const logs = await BuildService.getLogs(build.id);
+        res.json({ build, logs });
+    } catch (error) {
+        logger.error('Error getting build:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Stream image build output as server-sent events
+router.get('/builds/:jobId/events', isAdmin, async (req, res) => {
+    try {
+        const build = await BuildService.getJob(req.params.jobId);
+        if (!build) {
+            return res.status(404).json({ error: 'Build not found' });
         }
-        if (!metadata.level) {
-            logger.error('Missing metadata.level');
-            throw new Error('Missing required metadata field: level');
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const sendEvent = (event, data, id) => {
+            if (res.writableEnded) {
+                return;
+            }
+            if (id !== undefined) {
+                res.write(`id: ${id}\n`);
+            }
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Subscribe first so no output is missed while the backlog is sent
+        const buffered = [];
+        let replaying = true;
+        let lastSentId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+
+        const onLog = (entry) => {
+            if (replaying) {
+                buffered.push(entry);
+            } else if (entry.id > lastSentId) {
+                lastSentId = entry.id;
+                sendEvent('log', entry, entry.id);
+            }
+        };
+        const onStatus = (job) => {
+            sendEvent('status', job);
+            if (BuildService.isFinished(job)) {
+                res.end();
+            }
+        };
+        const unsubscribe = BuildService.subscribe(build.id, { onLog, onStatus });
+        res.on('close', unsubscribe);
+
+        const backlog = await BuildService.getLogs(build.id, lastSentId);
+        [...backlog, ...buffered].forEach(entry => {
+            if (entry.id > lastSentId) {
+                lastSentId = entry.id;
+                sendEvent('log', entry, entry.id);
+            }
+        });
+        replaying = false;
+
+        // Report the current status; finished builds end the stream here
+        onStatus(await BuildService.getJob(build.id));
+    } catch (error) {
+        logger.error('Error streaming build output:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        } else {
+            res.end();
         }
+    }
+});
 
-        // Validate level format
-        const validLevels = ['beginner', 'intermediate', 'advanced'];
-        const levelValue = metadata.level.toLowerCase();
-        
-        if (!validLevels.includes(levelValue)) {
-            logger.error('Invalid level value:', metadata.level);
-            throw new Error('Level must be one of: beginner, intermediate, advanced');
+// List the image versions of an exercise
+router.get('/:id/versions', isAdmin, async (req, res) => {
+    try {
+        const exercise = await new Promise((resolve, reject) => {
+            db.get('SELECT id FROM docker_images WHERE id = ?', [req.params.id], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        if (!exercise) {
+            return res.status(404).json({ error: 'Exercise not found' });
         }
 
-        // Build Docker image
-        const imageTag = `training/${metadata.title.toLowerCase().replace(/\s+/g, '-')}:${metadata.version || 'latest'}`;
-        try {
-            logger.info('Starting Docker build:', { imageTag, extractPath });
-            
-            // List files in build context
-            const buildFiles = await fs.readdir(extractPath);
-            logger.info('Files in build context:', buildFiles);
-
-            // Read Dockerfile content
-            const dockerfileContent = await fs.readFile(path.join(extractPath, 'Dockerfile'), 'utf8');
-            logger.info('Dockerfile content:', dockerfileContent);
-            
-            // Create tar stream from the build context
-            const tarStream = await tar.c(
-                {
-                    gzip: true,
-                    cwd: extractPath
-                },
-                files
-            );
+        const versions = await ExerciseService.listVersions(exercise.id);
+        res.json({ versions });
+    } catch (error) {
+        logger.error('Error fetching exercise versions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            const stream = await docker.buildImage(tarStream, {
-                t: imageTag,
-                dockerfile: 'Dockerfile'
-            });
+// Promote or roll back to a version; running containers keep their version
+router.post('/:id/versions/:versionId/activate', isAdmin, async (req, res) => {
+    try {
+        const { id, versionId } = req.params;
 
-            // Process the build stream
-            await new Promise((resolve, reject) => {
-                docker.modem.followProgress(stream, (err, res) => {
-                    if (err) {
-                        logger.error('Docker build failed:', err);
-                        reject(new Error('Docker build failed: ' + err.message));
-                        return;
-                    }
-                    
-                    // Check for build errors in the output
-                    const errors = res.filter(item => item.error || item.errorDetail);
-                    if (errors.length > 0) {
-                        const errorMessage = errors.map(e => e.error || e.errorDetail.message).join('; ');
-                        logger.error('Docker build error in output:', errors);
-                        reject(new Error('Docker build failed: ' + errorMessage));
-                        return;
-                    }
-                    
-                    logger.info('Docker build completed successfully:', { imageTag });
-                    resolve(res);
-                }, (event) => {
-                    if (event.stream) {
-                        logger.info('Docker build progress:', event.stream.trim());
-                    }
-                });
-            });
+        const version = await ExerciseService.getVersion(id, versionId);
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
 
-            // Save image details to database
-            await new Promise((resolve, reject) => {
-                db.run(
-                    `INSERT INTO docker_images (name, version, description, level, image_id, metadata)
-                     VALUES (?, ?, ?, ?, ?, ?)`,
-                    [
-                        metadata.title,
-                        metadata.version || 'latest',
-                        metadata.description,
-                        levelValue,
-                        imageTag,
-                        JSON.stringify(metadata)
-                    ],
-                    function(err) {
-                        if (err) {
-                            logger.error('Database insert error:', err);
-                            reject(err);
-                            return;
-                        }
-                        logger.info('Database insert successful:', this.lastID);
-                        resolve();
-                    }
-                );
-            });
+        await ExerciseService.activateVersion(id, version.id);
+        await SystemLogger.logEvent('exercise_version_activated', req.session.userId, id, {
+            version_id: version.id,
+            version: version.version,
+            image_tag: version.image_tag
+        });
 
-            // Clean up
-            try {
-                await fs.rm(extractPath, { recursive: true });
-                await fs.unlink(uploadPath);
-                logger.info('Cleanup completed');
-            } catch (cleanupError) {
-                logger.error('Cleanup error:', cleanupError);
-                // Don't throw here, as the upload was successful
-            }
+        res.json({ message: `Version ${version.version} is now active` });
+    } catch (error) {
+        logger.error('Error activating exercise version:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            res.json({
-                message: 'Exercise uploaded successfully',
-                image: {
-                    name: metadata.title,
-                    version: metadata.version || 'latest',
-                    tag: imageTag
+// Delete an inactive version and its image
+router.delete('/:id/versions/:versionId', isAdmin, async (req, res) => {
+    try {
+        const { id, versionId } = req.params;
+
+        const version = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT v.*, (v.id = i.active_version_id) as active,
+                        (SELECT COUNT(*) FROM containers c
+                         WHERE c.version_id = v.id AND c.status IN ('starting', 'running', 'suspended')) as running
+                 FROM exercise_versions v
+                 JOIN docker_images i ON v.exercise_id = i.id
+                 WHERE v.id = ? AND v.exercise_id = ?`,
+                [versionId, id],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
                 }
-            });
-        } catch (buildError) {
-            logger.error('Docker build error:', buildError);
-            throw new Error('Failed to build Docker image: ' + buildError.message);
+            );
+        });
+
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
         }
-    } catch (error) {
-        logger.error('Error uploading exercise:', error);
-        // Clean up on error
-        if (req.file) {
+        if (version.active) {
+            return res.status(400).json({ error: 'Cannot delete the active version' });
+        }
+        if (version.running > 0) {
+            return res.status(400).json({ error: 'Version is in use by running containers' });
+        }
+
+        for (const imageTag of ExerciseService.versionImageTags(version)) {
             try {
-                await fs.unlink(req.file.path);
-                const extractPath = path.join('./uploads/exercises', path.parse(req.file.filename).name);
-                await fs.rm(extractPath, { recursive: true, force: true });
-            } catch (cleanupError) {
-                logger.error('Error cleaning up after failed upload:', cleanupError);
+                await docker.getImage(imageTag).remove({ force: true });
+            } catch (error) {
+                logger.error('Error removing Docker image:', error);
             }
         }
-        res.status(400).json({ error: error.message });
+
+        await ExerciseService.deleteVersion(id, version.id);
+        await SystemLogger.logEvent('exercise_version_deleted', req.session.userId, id, {
+            version_id: version.id,
+            version: version.version,
+            image_tag: version.image_tag
+        });
+
+        res.json({ message: 'Version deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting exercise version:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update exercise metadata
+// Update exercise metadata; the version follows the active image
 router.put('/:id', isAdmin, async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, level, version } = req.body;
+        const { name, description, level } = req.body;
 
         await new Promise((resolve, reject) => {
             db.run(
                 `UPDATE docker_images 
-                 SET name = ?, description = ?, level = ?, version = ?, updated_at = CURRENT_TIMESTAMP
+                 SET name = ?, description = ?, level = ?, updated_at = CURRENT_TIMESTAMP
                  WHERE id = ?`,
-                [name, description, level, version, id],
+                [name, description, level, id],
                 (err) => {
                     if (err) reject(err);
                     resolve();
@@ -306,6 +470,46 @@ router.put('/:id', isAdmin, async (req, res) => {
     }
 });
 
+// Set how far trainees may extend launches of an exercise; null restores the platform default
+router.put('/:id/extension-policy', isAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { policy } = req.body;
+
+        let normalized;
+        try {
+            normalized = normalizeExtensionPolicy(policy);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const stored = Object.keys(normalized).length > 0 ? JSON.stringify(normalized) : null;
+
+        const changes = await new Promise((resolve, reject) => {
+            db.run(
+                'UPDATE docker_images SET extension_policy = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [stored, id],
+                function(err) {
+                    if (err) reject(err);
+                    resolve(this.changes);
+                }
+            );
+        });
+
+        if (changes === 0) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        await SystemLogger.logEvent('exercise_extension_policy_updated', req.session.userId, id, {
+            policy: normalized
+        });
+
+        res.json({ message: 'Extension policy updated successfully', policy: stored ? normalized : null });
+    } catch (error) {
+        logger.error('Error updating extension policy:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Delete exercise
 router.delete('/:id', isAdmin, async (req, res) => {
     try {
@@ -323,15 +527,29 @@ router.delete('/:id', isAdmin, async (req, res) => {
             return res.status(404).json({ error: 'Exercise not found' });
         }
 
-        // Remove Docker image
-        try {
-            const dockerImage = docker.getImage(image.image_id);
-            await dockerImage.remove({ force: true });
-        } catch (error) {
-            logger.error('Error removing Docker image:', error);
+        // Remove the Docker images of every version
+        const versions = await new Promise((resolve, reject) => {
+            db.all('SELECT image_tag, metadata FROM exercise_versions WHERE exercise_id = ?', [id], (err, rows) => {
+                if (err) reject(err);
+                resolve(rows || []);
+            });
+        });
+        for (const imageTag of versions.flatMap(version => ExerciseService.versionImageTags(version))) {
+            try {
+                const dockerImage = docker.getImage(imageTag);
+                await dockerImage.remove({ force: true });
+            } catch (error) {
+                logger.error('Error removing Docker image:', error);
+            }
         }
 
         // Remove from database
+        await new Promise((resolve, reject) => {
+            db.run('DELETE FROM exercise_versions WHERE exercise_id = ?', [id], (err) => {
+                if (err) reject(err);
+                resolve();
+            });
+        });
         await new Promise((resolve, reject) => {
             db.run('DELETE FROM docker_images WHERE id = ?', [id], (err) => {
                 if (err) reject(err);
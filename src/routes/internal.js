@@ -0,0 +1,46 @@
+const express = require('express');
+const { DockerService } = require('../services/docker');
+const { handleCompletionCallback } = require('./containers');
+const { logger } = require('../utils/logger');
+const { exerciseUrl } = require('../utils/domain');
+
+/**
+ * API served to launch containers on the internal listener. Callers are
+ * identified by the address they connect from, never by what they claim.
+ */
+const router = express.Router();
+
+// Resolve the calling container to its launch
+const identifyLaunch = async (req, res, next) => {
+    try {
+        const launch = await DockerService.findLaunchByAddress(req.socket.remoteAddress);
+        if (!launch) {
+            logger.warn('Internal API request from unknown address:', { ip: req.socket.remoteAddress, url: req.url });
+            return res.status(403).json({ error: 'Unknown container' });
+        }
+        req.launch = launch;
+        next();
+    } catch (error) {
+        logger.error('Error identifying internal API caller:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Tell a container which launch it belongs to
+router.get('/launch', identifyLaunch, (req, res) => {
+    const { container, service } = req.launch;
+    res.json({
+        subdomain: container.subdomain,
+        service,
+        status: container.status,
+        exercise_url: exerciseUrl(container.subdomain)
+    });
+});
+
+// Handle exercise completion callback from the calling container
+router.post('/complete', identifyLaunch, (req, res) => {
+    const { container } = req.launch;
+    return handleCompletionCallback(req, res, container.subdomain, container);
+});
+
+module.exports = { router };
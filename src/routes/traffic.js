@@ -0,0 +1,87 @@
+const express = require('express');
+const { isAuthenticated } = require('../routes/auth');
+const { logger } = require('../utils/logger');
+const { TrafficService } = require('../services/traffic');
+const { getBaseDomain, getRoutingMode, exerciseHost } = require('../utils/domain');
+
+const router = express.Router();
+
+// Captured traffic is visible to admins and the trainee who owned the launch
+const canView = async (req, subdomain) => {
+    if (req.session.userRole === 'admin') {
+        return true;
+    }
+    const ownerId = await TrafficService.getOwner(subdomain);
+    return ownerId !== null && ownerId === req.session.userId;
+};
+
+// List launches with captured traffic
+router.get('/', isAuthenticated, async (req, res) => {
+    try {
+        const launches = await TrafficService.listLaunches({
+            userId: req.session.userRole === 'admin' ? null : req.session.userId
+        });
+        res.json({ launches });
+    } catch (error) {
+        logger.error('Error listing captured traffic:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Timeline of a launch's captured requests, newest first, optionally before a given entry
+router.get('/:subdomain', isAuthenticated, async (req, res) => {
+    try {
+        const { subdomain } = req.params;
+        if (!(await canView(req, subdomain))) {
+            return res.status(404).json({ error: 'No captured traffic for this launch' });
+        }
+
+        const { entries, more } = await TrafficService.listEntries(subdomain, {
+            beforeId: parseInt(req.query.before, 10) || null
+        });
+        res.json({ entries, more });
+    } catch (error) {
+        logger.error('Error getting captured traffic:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Export a launch's captured traffic as a HAR file
+router.get('/:subdomain/har', isAuthenticated, async (req, res) => {
+    try {
+        const { subdomain } = req.params;
+        if (!(await canView(req, subdomain))) {
+            return res.status(404).json({ error: 'No captured traffic for this launch' });
+        }
+
+        const entries = await TrafficService.getEntries(subdomain);
+        const host = getRoutingMode() === 'path' ? getBaseDomain() : exerciseHost(subdomain);
+
+        res.set('Content-Disposition', `attachment; filename="traffic-${subdomain}.har"`);
+        res.json(TrafficService.toHar(entries, host));
+    } catch (error) {
+        logger.error('Error exporting captured traffic:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// One captured request and response with headers and bodies
+router.get('/:subdomain/entries/:entryId', isAuthenticated, async (req, res) => {
+    try {
+        const { subdomain, entryId } = req.params;
+        if (!(await canView(req, subdomain))) {
+            return res.status(404).json({ error: 'No captured traffic for this launch' });
+        }
+
+        const entry = await TrafficService.getEntry(subdomain, entryId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+        res.json({ entry });
+    } catch (error) {
+        logger.error('Error getting captured traffic entry:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = { router };
@@ -6,9 +6,11 @@ const path = require('path');
 const fs = require('fs');
 const https = require('https');
 const { initializeDatabase } = require('./db/init');
-const { setupDockerEvents, setupPeriodicCleanup } = require('./services/docker');
+const { DockerService, setupDockerEvents, setupPeriodicCleanup, setupContainerReaper } = require('./services/docker');
+const { setupBuildQueue } = require('./services/builds');
 const { logger } = require('./utils/logger');
-const { createSubdomainHandler } = require('./middleware/subdomain');
+const { createSubdomainHandler, createPathHandler, createHostGuard, createUpgradeHandler } = require('./middleware/subdomain');
+const { getBaseDomain, getRoutingMode, getInternalApiPort, isBaseDomainHost } = require('./utils/domain');
 require('dotenv').config();
 
 /**
@@ -32,7 +34,8 @@ async function initializeRouters() {
         auth: require('./routes/auth').router,
         exercises: require('./routes/exercises').router,
         admin: require('./routes/admin').router,
-        containers: require('./routes/containers').router
+        containers: require('./routes/containers').router,
+        traffic: require('./routes/traffic').router
     };
 
     // Log router status
@@ -60,7 +63,7 @@ function configureSession() {
         logger.error('Session store error:', error);
     });
 
-    return session({
+    const sessionMiddleware = session({
         store: sessionStore,
         secret: CONFIG.sessionSecret,
         resave: false, // Changed to false since SQLite store supports touch
@@ -72,6 +75,23 @@ function configureSession() {
             maxAge: 24 * 60 * 60 * 1000 // 24 hours
         }
     });
+
+    if (getRoutingMode() !== 'subdomain') {
+        return sessionMiddleware;
+    }
+
+    // Shared with launch subdomains so WebSockets to them can be authenticated.
+    // Browsers drop a cookie scoped to the base domain on other hosts such as
+    // localhost, so requests there keep a host-only cookie.
+    return (req, res, next) => {
+        sessionMiddleware(req, res, (err) => {
+            if (!err && req.session) {
+                const hostname = req.hostname || (req.headers.host || '').replace(/:\d+$/, '');
+                req.session.cookie.domain = isBaseDomainHost(hostname) ? getBaseDomain() : undefined;
+            }
+            next(err);
+        });
+    };
 }
 
 /**
@@ -96,7 +116,8 @@ function mountAPIRoutes(app, routers) {
         '/api/auth': routers.auth,
         '/api/exercises': routers.exercises,
         '/api/admin': routers.admin,
-        '/api/containers': routers.containers
+        '/api/containers': routers.containers,
+        '/api/traffic': routers.traffic
     };
 
     Object.entries(routes).forEach(([path, router]) => {
@@ -114,6 +135,7 @@ function mountAPIRoutes(app, routers) {
  */
 function startHTTPServer(port) {
     const httpApp = express();
+    httpApp.use(createHostGuard());
     httpApp.use((req, res) => {
         res.redirect(`https://${req.headers.host}${req.url}`);
     });
@@ -122,6 +144,37 @@ function startHTTPServer(port) {
     });
 }
 
+/**
+ * Start the internal API that launch containers call, e.g. for completion
+ * callbacks. It listens on an address of the Docker host only; requests from
+ * addresses that don't belong to a launch container are refused.
+ * @param {number} port - Port to listen on
+ */
+async function startInternalAPIServer(port) {
+    const host = await DockerService.getInternalApiAddress();
+    if (!host) {
+        logger.warn('Internal API not started: no Docker bridge address found, set INTERNAL_API_BIND_HOST');
+        return;
+    }
+
+    const internalApp = express();
+    internalApp.use(express.json({
+        // Keep the raw body so signed container callbacks can be verified
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    internalApp.use(require('./routes/internal').router);
+    internalApp.use((req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+    internalApp.listen(port, host, () => {
+        logger.info(`Internal API running on ${host}:${port} for launch containers`);
+    }).on('error', (error) => {
+        logger.error('Failed to start internal API:', { host, port, error: error.message });
+    });
+}
+
 /**
  * Drop root privileges after binding to privileged ports
  */
@@ -148,11 +201,10 @@ async function startServer() {
         await initializeDatabase();
         await setupDockerEvents();
         await setupPeriodicCleanup();
+        await setupContainerReaper();
+        await setupBuildQueue();
         const routers = await initializeRouters();
 
-        // Initialize global container activity tracking
-        global.containerActivity = new Map();
-
         // Create and configure Express app
         const app = express();
 
@@ -174,17 +226,21 @@ async function startServer() {
             });
         });
 
-        // Request parsing
-        app.use(express.json());
-        app.use(express.urlencoded({ extended: true }));
+        // Only serve the base domain and launch subdomains below it
+        app.use(createHostGuard());
 
-        // Check for subdomain requests first 
-        app.use((req, res, next) => {
-            if (req.subdomains.length > 0) {
-                return createSubdomainHandler()(req, res, next);
+        // Check for container requests first, by subdomain or below /lab/<uuid>/.
+        // They are proxied before body parsing so bodies reach exercises untouched.
+        app.use(getRoutingMode() === 'path' ? createPathHandler() : createSubdomainHandler());
+
+        // Request parsing
+        app.use(express.json({
+            // Keep the raw body so signed container callbacks can be verified
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
             }
-            next();
-        });
+        }));
+        app.use(express.urlencoded({ extended: true }));
 
         // Mount API routes
         mountAPIRoutes(app, routers);
@@ -212,8 +268,12 @@ async function startServer() {
 
         // Start HTTPS server
         const httpsServer = https.createServer(configureSSL(), app);
+        httpsServer.on('upgrade', createUpgradeHandler({
+            sessionMiddleware,
+            routingMode: getRoutingMode()
+        }));
         httpsServer.listen(CONFIG.sslPort, () => {
-            logger.info(`HTTPS Server running on port ${CONFIG.sslPort}`);
+            logger.info(`HTTPS Server running on port ${CONFIG.sslPort} for ${getBaseDomain()} (${getRoutingMode()} routing)`);
             // Drop root privileges after binding to port 443
             dropRootPrivileges();
         });
@@ -221,6 +281,9 @@ async function startServer() {
         // Start HTTP redirect server
         startHTTPServer(CONFIG.port);
 
+        // Start the API launch containers call back to
+        await startInternalAPIServer(getInternalApiPort());
+
     } catch (error) {
         logger.error('Failed to start server:', error);
         process.exit(1);
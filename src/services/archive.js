@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const tar = require('tar');
+const AdmZip = require('adm-zip');
+const { logger } = require('../utils/logger');
+
+const MAX_ENTRIES = 10000;
+const MAX_TOTAL_SIZE = 250 * 1024 * 1024; // 250MB once extracted
+
+const TAR_FILE_TYPES = ['File', 'OldFile', 'ContiguousFile'];
+const TAR_LINK_TYPES = ['SymbolicLink', 'Link'];
+const TAR_BLOCK_SIZE = 512;
+
+// Files that mark the root of an exercise package
+const PACKAGE_FILES = ['Dockerfile', 'metadata.json'];
+// Added by archivers alongside the real content
+const ARCHIVER_METADATA = ['__MACOSX', '.DS_Store'];
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * An archive that cannot be extracted safely. `entry` names the rejected
+ * entry when the problem is specific to one.
+ */
+class ArchiveError extends Error {
+    constructor(message, entry = null) {
+        super(entry === null ? message : `Rejected archive entry "${entry}": ${message}`);
+        this.name = 'ArchiveError';
+        this.entry = entry;
+    }
+}
+
+/**
+ * Normalize an entry name, rejecting anything that could land outside the
+ * extraction directory
+ * @param {string} name - Entry name as stored in the archive
+ * @returns {string} Relative POSIX path
+ */
+function safeEntryPath(name) {
+    if (!name || name.includes('\0')) {
+        throw new ArchiveError('name is empty or contains NUL bytes', name);
+    }
+
+    const slashed = name.replace(/\\/g, '/');
+    if (slashed.startsWith('/') || /^[A-Za-z]:/.test(slashed)) {
+        throw new ArchiveError('absolute paths are not allowed', name);
+    }
+    if (slashed.split('/').includes('..')) {
+        throw new ArchiveError('".." path segments are not allowed', name);
+    }
+
+    return path.posix.normalize(slashed);
+}
+
+/**
+ * Resolve an entry inside the destination, as a last guard against escapes
+ * @param {string} destination - Extraction directory
+ * @param {string} entryPath - Path from safeEntryPath()
+ * @param {string} name - Original entry name, for errors
+ * @returns {string} Absolute target path
+ */
+function resolveTarget(destination, entryPath, name) {
+    const root = path.resolve(destination);
+    const target = path.resolve(root, entryPath);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+        throw new ArchiveError('path escapes the extraction directory', name);
+    }
+    return target;
+}
+
+/**
+ * Running totals checked against the extraction limits
+ */
+function createBudget(limits) {
+    let entries = 0;
+    let total = 0;
+
+    return {
+        addEntry(name, size) {
+            entries += 1;
+            if (entries > limits.maxEntries) {
+                throw new ArchiveError(`archive has more than ${limits.maxEntries} entries`, name);
+            }
+            total += size;
+            if (total > limits.maxTotalSize) {
+                throw new ArchiveError(
+                    `archive expands to more than ${Math.floor(limits.maxTotalSize / 1024 / 1024)}MB`,
+                    name
+                );
+            }
+        }
+    };
+}
+
+/**
+ * Read every tar header before anything is written, stopping as soon as a
+ * limit is exceeded so decompression bombs are never fully inflated
+ * @param {string} archivePath - Archive file
+ * @param {boolean} gzip - Whether the archive is gzip compressed
+ * @param {Object} limits - { maxEntries, maxTotalSize }
+ */
+function inspectTar(archivePath, gzip, limits) {
+    return new Promise((resolve, reject) => {
+        const budget = createBudget(limits);
+        // Headers and padding take at most two blocks per entry plus the end-of-archive record
+        const maxStreamSize = limits.maxTotalSize + (limits.maxEntries + 10) * TAR_BLOCK_SIZE * 2;
+        const streams = [];
+        let streamed = 0;
+        let settled = false;
+
+        const fail = (error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            streams.forEach(stream => stream.destroy());
+            reject(error instanceof ArchiveError ? error : new ArchiveError(`invalid archive: ${error.message}`));
+        };
+
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                streamed += chunk.length;
+                if (streamed > maxStreamSize) {
+                    callback(new ArchiveError(
+                        `archive expands to more than ${Math.floor(limits.maxTotalSize / 1024 / 1024)}MB`
+                    ));
+                    return;
+                }
+                callback(null, chunk);
+            }
+        });
+
+        const parser = new tar.Parse({
+            strict: true,
+            onentry: (entry) => {
+                entry.resume();
+                if (settled) {
+                    return;
+                }
+                try {
+                    safeEntryPath(entry.path);
+                    if (TAR_LINK_TYPES.includes(entry.type)) {
+                        throw new ArchiveError('links are not allowed', entry.path);
+                    }
+                    if (!TAR_FILE_TYPES.includes(entry.type) && entry.type !== 'Directory') {
+                        throw new ArchiveError(`unsupported entry type ${entry.type}`, entry.path);
+                    }
+                    budget.addEntry(entry.path, entry.size || 0);
+                } catch (error) {
+                    fail(error);
+                }
+            }
+        });
+
+        const source = fs.createReadStream(archivePath);
+        streams.push(source, counter);
+        if (gzip) {
+            const gunzip = zlib.createGunzip();
+            streams.push(gunzip);
+            source.pipe(gunzip).pipe(counter).pipe(parser);
+            gunzip.on('error', fail);
+        } else {
+            source.pipe(counter).pipe(parser);
+        }
+
+        source.on('error', fail);
+        counter.on('error', fail);
+        parser.on('error', fail);
+        parser.on('end', () => {
+            if (!settled) {
+                settled = true;
+                resolve();
+            }
+        });
+    });
+}
+
+async function extractTar(archivePath, destination, gzip, limits) {
+    await inspectTar(archivePath, gzip, limits);
+
+    // The filter repeats the type checks in case the archive changes between passes
+    await tar.x({
+        file: archivePath,
+        cwd: destination,
+        strict: true,
+        preserveOwner: false,
+        filter: (entryPath, entry) => TAR_FILE_TYPES.includes(entry.type) || entry.type === 'Directory'
+    });
+}
+
+async function extractZip(archivePath, destination, limits) {
+    let zip;
+    try {
+        zip = new AdmZip(archivePath);
+    } catch (error) {
+        throw new ArchiveError(`invalid archive: ${error.message || error}`);
+    }
+
+    const budget = createBudget(limits);
+    const entries = zip.getEntries().map(entry => {
+        const name = entry.entryName;
+        const entryPath = safeEntryPath(name);
+        const mode = (entry.header.attr >>> 16) & 0xffff;
+
+        if ((mode & S_IFMT) === S_IFLNK) {
+            throw new ArchiveError('links are not allowed', name);
+        }
+        // Deflate never grows data by more than a few bytes per block, so a
+        // compressed size well above the declared size means a forged header
+        if (!entry.isDirectory && entry.header.compressedSize > entry.header.size * 1.01 + 1024) {
+            throw new ArchiveError('declared size does not match compressed data', name);
+        }
+        budget.addEntry(name, entry.isDirectory ? 0 : entry.header.size);
+
+        return { entry, name, target: resolveTarget(destination, entryPath, name), mode };
+    });
+
+    for (const { entry, name, target, mode } of entries) {
+        if (entry.isDirectory) {
+            await fs.promises.mkdir(target, { recursive: true });
+            continue;
+        }
+
+        // Inflation is capped at the declared size, which was checked above
+        const data = entry.getData();
+        if (data.length !== entry.header.size) {
+            throw new ArchiveError('declared size does not match extracted data', name);
+        }
+
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, data, { mode: (mode & 0o777) ? (mode & 0o755) : 0o644 });
+    }
+}
+
+/**
+ * Extract an uploaded exercise package, rejecting unsafe entries
+ * @param {string} archivePath - Uploaded archive
+ * @param {string} filename - Original filename, used to detect the archive type
+ * @param {string} destination - Directory to extract into
+ * @param {Object} [limits] - { maxEntries, maxTotalSize }
+ * @throws {ArchiveError} If the archive is unsupported, too large or has an unsafe entry
+ */
+async function extractArchive(archivePath, filename, destination, limits = {}) {
+    const effectiveLimits = {
+        maxEntries: MAX_ENTRIES,
+        maxTotalSize: MAX_TOTAL_SIZE,
+        ...limits
+    };
+
+    await fs.promises.mkdir(destination, { recursive: true });
+
+    if (/\.(tar\.gz|tgz)$/i.test(filename)) {
+        await extractTar(archivePath, destination, true, effectiveLimits);
+    } else if (/\.tar$/i.test(filename)) {
+        await extractTar(archivePath, destination, false, effectiveLimits);
+    } else if (/\.zip$/i.test(filename)) {
+        await extractZip(archivePath, destination, effectiveLimits);
+    } else {
+        throw new ArchiveError('unsupported archive type; use .zip, .tar, .tar.gz or .tgz');
+    }
+
+    logger.info('Extracted archive:', { filename, destination });
+}
+
+/**
+ * Find the package inside an extracted archive. Tools like `git archive`
+ * wrap everything in a single top-level directory, which is skipped.
+ * @param {string} destination - Extraction directory
+ * @returns {Promise<string>} Directory containing the package files
+ */
+async function findPackageRoot(destination) {
+    let root = destination;
+
+    for (;;) {
+        const entries = (await fs.promises.readdir(root, { withFileTypes: true }))
+            .filter(entry => !ARCHIVER_METADATA.includes(entry.name));
+
+        if (entries.some(entry => PACKAGE_FILES.includes(entry.name)) ||
+            entries.length !== 1 || !entries[0].isDirectory()) {
+            return root;
+        }
+        root = path.join(root, entries[0].name);
+    }
+}
+
+module.exports = {
+    ArchiveError,
+    extractArchive,
+    findPackageRoot
+};
@@ -0,0 +1,405 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const tar = require('tar');
+const Docker = require('dockerode');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/init');
+const { logger } = require('../utils/logger');
+const { SystemLogger } = require('./logger');
+const { ExerciseService, getServices, serviceImageTag } = require('./exercises');
+const { findPackageRoot } = require('./archive');
+const { createIgnoreMatcher } = require('./dockerignore');
+
+const docker = new Docker();
+
+/**
+ * Emits `log:<jobId>` and `status:<jobId>` events for live build output
+ */
+const buildEvents = new EventEmitter();
+buildEvents.setMaxListeners(0);
+
+/**
+ * Job IDs waiting to be built, processed one at a time
+ */
+const queue = [];
+let building = false;
+
+const FINISHED_STATUSES = ['succeeded', 'failed'];
+
+class BuildService {
+    /**
+     * Queue an extracted exercise package for building
+     * @param {Object} build - Build details
+     * @param {string} build.filename - Original upload filename
+     * @param {string} build.uploadPath - Uploaded archive, removed after the build
+     * @param {string} build.contextPath - Extracted package, removed after the build
+     * @param {string} build.imageTag - Tag for the built image
+     * @param {Object} build.metadata - Validated exercise metadata
+     * @param {number} build.userId - Admin who uploaded the package
+     * @param {boolean} [build.activate] - Make the new version active once built
+     * @returns {Promise<Object>} The queued job
+     */
+    static async enqueue({ filename, uploadPath, contextPath, imageTag, metadata, userId, activate = false }) {
+        const id = uuidv4();
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO build_jobs (id, status, filename, upload_path, context_path, image_tag, metadata, created_by, activate)
+                 VALUES (?, 'queued', ?, ?, ?, ?, ?, ?, ?)`,
+                [id, filename, uploadPath, contextPath, imageTag, JSON.stringify(metadata), userId, activate ? 1 : 0],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        await SystemLogger.logEvent('build_queued', userId, id, { filename, image_tag: imageTag });
+
+        queue.push(id);
+        setImmediate(() => this.processQueue());
+
+        return this.getJob(id);
+    }
+
+    static async getJob(id) {
+        return new Promise((resolve, reject) => {
+            db.get(
+                `SELECT id, status, filename, image_tag, image_id, version_id, activate, error,
+                        created_by, created_at, started_at, finished_at
+                 FROM build_jobs WHERE id = ?`,
+                [id],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+    }
+
+    static async listJobs(limit = 50) {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT b.id, b.status, b.filename, b.image_tag, b.image_id, b.version_id, b.activate, b.error,
+                        b.created_at, b.started_at, b.finished_at, u.username as created_by
+                 FROM build_jobs b
+                 LEFT JOIN users u ON b.created_by = u.id
+                 ORDER BY b.created_at DESC
+                 LIMIT ?`,
+                [limit],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    /**
+     * Get the persisted output of a build
+     * @param {string} jobId - Build job ID
+     * @param {number} [afterId=0] - Only return lines after this log ID
+     * @returns {Promise<Array<{id: number, line: string}>>}
+     */
+    static async getLogs(jobId, afterId = 0) {
+        return new Promise((resolve, reject) => {
+            db.all(
+                'SELECT id, line FROM build_logs WHERE job_id = ? AND id > ? ORDER BY id',
+                [jobId, afterId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    /**
+     * Subscribe to live output and status changes of a build
+     * @param {string} jobId - Build job ID
+     * @param {Object} handlers - { onLog(entry), onStatus(job) }
+     * @returns {Function} Unsubscribe function
+     */
+    static subscribe(jobId, { onLog, onStatus }) {
+        buildEvents.on(`log:${jobId}`, onLog);
+        buildEvents.on(`status:${jobId}`, onStatus);
+        return () => {
+            buildEvents.off(`log:${jobId}`, onLog);
+            buildEvents.off(`status:${jobId}`, onStatus);
+        };
+    }
+
+    static isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    static async appendLog(jobId, line) {
+        const id = await new Promise((resolve, reject) => {
+            db.run(
+                'INSERT INTO build_logs (job_id, line) VALUES (?, ?)',
+                [jobId, line],
+                function(err) {
+                    if (err) reject(err);
+                    resolve(this.lastID);
+                }
+            );
+        });
+        buildEvents.emit(`log:${jobId}`, { id, line });
+    }
+
+    static async setStatus(jobId, status, fields = {}) {
+        const assignments = ['status = ?'];
+        const params = [status];
+
+        if (status === 'building') {
+            assignments.push('started_at = CURRENT_TIMESTAMP');
+        }
+        if (FINISHED_STATUSES.includes(status)) {
+            assignments.push('finished_at = CURRENT_TIMESTAMP');
+        }
+        Object.entries(fields).forEach(([column, value]) => {
+            assignments.push(`${column} = ?`);
+            params.push(value);
+        });
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE build_jobs SET ${assignments.join(', ')} WHERE id = ?`,
+                [...params, jobId],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        buildEvents.emit(`status:${jobId}`, await this.getJob(jobId));
+    }
+
+    /**
+     * Build queued jobs one at a time
+     */
+    static async processQueue() {
+        if (building) {
+            return;
+        }
+        building = true;
+
+        try {
+            while (queue.length > 0) {
+                const jobId = queue.shift();
+                try {
+                    await this.runBuild(jobId);
+                } catch (error) {
+                    logger.error('Unexpected build queue error:', { jobId, error: error.message });
+                }
+            }
+        } finally {
+            building = false;
+        }
+    }
+
+    /**
+     * Build one image, persisting and publishing its output as it arrives
+     * @param {string} jobId - Build job ID
+     * @param {string} contextPath - Build context directory
+     * @param {string} imageTag - Tag for the built image
+     */
+    static async buildImage(jobId, contextPath, imageTag) {
+        const files = await listContextFiles(contextPath);
+
+        // Create tar stream from the build context
+        const tarStream = await tar.c(
+            {
+                gzip: true,
+                portable: true,
+                noDirRecurse: true,
+                cwd: contextPath
+            },
+            files
+        );
+
+        const stream = await docker.buildImage(tarStream, {
+            t: imageTag,
+            dockerfile: 'Dockerfile'
+        });
+
+        let pendingLogs = Promise.resolve();
+        await new Promise((resolve, reject) => {
+            docker.modem.followProgress(stream, (err, res) => {
+                if (err) {
+                    reject(new Error('Docker build failed: ' + err.message));
+                    return;
+                }
+
+                // Check for build errors in the output
+                const errors = res.filter(item => item.error || item.errorDetail);
+                if (errors.length > 0) {
+                    const errorMessage = errors.map(e => e.error || e.errorDetail.message).join('; ');
+                    reject(new Error('Docker build failed: ' + errorMessage));
+                    return;
+                }
+
+                resolve(res);
+            }, (event) => {
+                const line = formatBuildEvent(event);
+                if (line) {
+                    pendingLogs = pendingLogs.then(() => this.appendLog(jobId, line));
+                }
+            });
+        });
+        await pendingLogs;
+    }
+
+    static async runBuild(jobId) {
+        const job = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM build_jobs WHERE id = ?', [jobId], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        if (!job || job.status !== 'queued') {
+            return;
+        }
+
+        const metadata = JSON.parse(job.metadata);
+        await this.setStatus(jobId, 'building');
+        logger.info('Starting Docker build:', { jobId, imageTag: job.image_tag });
+
+        try {
+            const packageRoot = await findPackageRoot(job.context_path);
+            const services = getServices(metadata);
+
+            // Every service of the exercise is built from its own directory
+            for (const service of services) {
+                const imageTag = serviceImageTag(job.image_tag, service);
+                if (services.length > 1) {
+                    await this.appendLog(jobId, `==> Building service ${service.name} as ${imageTag}`);
+                }
+                await this.buildImage(jobId, path.join(packageRoot, service.build), imageTag);
+            }
+
+            // Register the version only once the build succeeded
+            const { exerciseId, versionId, activated } = await ExerciseService.registerVersion(
+                metadata,
+                job.image_tag,
+                { buildJobId: jobId, activate: Boolean(job.activate) }
+            );
+
+            await this.setStatus(jobId, 'succeeded', { image_id: exerciseId, version_id: versionId });
+            await SystemLogger.logEvent('build_succeeded', job.created_by, jobId, {
+                image_tag: job.image_tag,
+                image_id: exerciseId,
+                version_id: versionId,
+                activated
+            });
+            logger.info('Docker build completed successfully:', { jobId, imageTag: job.image_tag });
+        } catch (error) {
+            logger.error('Docker build error:', { jobId, error: error.message });
+            await this.appendLog(jobId, error.message).catch(() => {});
+            await this.setStatus(jobId, 'failed', { error: error.message });
+            await SystemLogger.logEvent('build_failed', job.created_by, jobId, {
+                image_tag: job.image_tag,
+                error: error.message
+            });
+        } finally {
+            await cleanupBuildFiles(job);
+        }
+    }
+}
+
+/**
+ * Turn a Docker build progress event into a log line, skipping progress bars
+ * @param {Object} event - Event from the build stream
+ * @returns {string|null}
+ */
+function formatBuildEvent(event) {
+    if (event.stream) {
+        return event.stream.replace(/\n$/, '') || null;
+    }
+    if (event.error) {
+        return `ERROR: ${event.error}`;
+    }
+    if (event.status && !event.progress) {
+        return event.id ? `${event.id}: ${event.status}` : event.status;
+    }
+    return null;
+}
+
+/**
+ * List every file and directory of a build context, leaving out what the
+ * package's .dockerignore excludes
+ * @param {string} contextPath - Build context directory
+ * @returns {Promise<Array<string>>} Paths relative to the context
+ */
+async function listContextFiles(contextPath) {
+    let matcher = null;
+    try {
+        matcher = createIgnoreMatcher(await fs.readFile(path.join(contextPath, '.dockerignore'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    const files = [];
+    const walk = async (relativeDir) => {
+        const entries = await fs.readdir(path.join(contextPath, relativeDir), { withFileTypes: true });
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            const ignored = matcher && matcher.ignores(relativePath);
+
+            if (entry.isDirectory()) {
+                if (!ignored) {
+                    files.push(relativePath);
+                }
+                // Exceptions ("!pattern") can re-include files below an ignored directory
+                if (!ignored || matcher.hasExceptions) {
+                    await walk(relativePath);
+                }
+            } else if (!ignored) {
+                files.push(relativePath);
+            }
+        }
+    };
+    await walk('');
+
+    return files;
+}
+
+async function cleanupBuildFiles(job) {
+    try {
+        await fs.rm(job.context_path, { recursive: true, force: true });
+        await fs.rm(job.upload_path, { force: true });
+    } catch (error) {
+        logger.error('Error cleaning up build files:', error);
+    }
+}
+
+/**
+ * Fail builds that were interrupted by a platform restart
+ */
+async function setupBuildQueue() {
+    const interrupted = await new Promise((resolve, reject) => {
+        db.all(`SELECT * FROM build_jobs WHERE status IN ('queued', 'building')`, (err, rows) => {
+            if (err) reject(err);
+            resolve(rows || []);
+        });
+    });
+
+    for (const job of interrupted) {
+        await BuildService.setStatus(job.id, 'failed', { error: 'Build interrupted by platform restart' });
+        await cleanupBuildFiles(job);
+    }
+
+    if (interrupted.length > 0) {
+        logger.warn(`Marked ${interrupted.length} interrupted build(s) as failed`);
+    }
+}
+
+module.exports = {
+    BuildService,
+    setupBuildQueue
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-training-signature';
+const SIGNATURE_PREFIX = 'sha256=';
+const MAX_CLOCK_SKEW = 5 * 60; // 5 minutes, in seconds
+
+class CallbackService {
+    /**
+     * Generate a new per-container callback secret
+     * @returns {string} Hex encoded secret
+     */
+    static generateSecret() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Compute the HMAC signature of a callback body
+     * @param {string} secret - Container callback secret
+     * @param {Buffer|string} body - Raw request body
+     * @returns {string} Hex encoded HMAC-SHA256
+     */
+    static sign(secret, body) {
+        return crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    /**
+     * Verify a signed completion callback. The signature covers the raw JSON
+     * body, which carries the goal id, the payload and a timestamp.
+     * @param {Object} container - containers row the callback claims to come from
+     * @param {Object} req - Express request (with rawBody captured by the JSON parser)
+     * @returns {{valid: boolean, reason?: string}}
+     */
+    static verify(container, req) {
+        if (!container) {
+            return { valid: false, reason: 'Unknown container' };
+        }
+        if (!container.callback_secret) {
+            return { valid: false, reason: 'Container has no callback secret' };
+        }
+
+        const header = req.get(SIGNATURE_HEADER);
+        if (!header || !header.startsWith(SIGNATURE_PREFIX)) {
+            return { valid: false, reason: 'Missing signature' };
+        }
+        if (!req.rawBody) {
+            return { valid: false, reason: 'Missing request body' };
+        }
+
+        const expected = Buffer.from(this.sign(container.callback_secret, req.rawBody), 'hex');
+        const provided = Buffer.from(header.slice(SIGNATURE_PREFIX.length), 'hex');
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return { valid: false, reason: 'Invalid signature' };
+        }
+
+        const timestamp = Number(req.body.timestamp);
+        if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_CLOCK_SKEW) {
+            return { valid: false, reason: 'Stale or missing timestamp' };
+        }
+
+        return { valid: true };
+    }
+}
+
+module.exports = { CallbackService };
@@ -1,8 +1,26 @@
 const Docker = require('dockerode');
+const net = require('net');
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../db/init');
 const { logger } = require('../utils/logger');
 const { SystemLogger } = require('./logger');
+const { ProgressService, CompletionError } = require('./progress');
+const { CallbackService } = require('./callbacks');
+const { FlagService } = require('./flags');
+const { SettingsService } = require('./settings');
+const { TrafficService } = require('./traffic');
+const { resolveResources, toHostConfig } = require('./resources');
+const { renderEnvironment } = require('./environment');
+const { getServices, serviceImageTag } = require('./exercises');
+const { CONTAINER_IDLE_TIMEOUT, CONTAINER_MAX_LIFETIME, resolveExtensionPolicy } = require('./lifetime');
+const {
+    exerciseHost,
+    exerciseUrl,
+    platformUrl,
+    INTERNAL_API_HOST,
+    internalApiUrl,
+    getInternalApiBindHost
+} = require('../utils/domain');
 
 let docker;
 try {
@@ -12,8 +30,50 @@ try {
     docker = null;
 }
 
-const CONTAINER_IDLE_TIMEOUT = 15 * 60 * 1000; // 15 minutes
-const CONTAINER_MAX_LIFETIME = 2 * 60 * 60 * 1000; // 2 hours
+const CONTAINER_STARTUP_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+const REAPER_INTERVAL = 60 * 1000; // 1 minute
+const ACTIVITY_WRITE_INTERVAL = 30 * 1000; // 30 seconds
+const READINESS_POLL_INTERVAL = 1000; // 1 second
+const DEFAULT_EXERCISE_PORT = 8080;
+
+// Statuses of launches whose containers still exist in Docker
+const ACTIVE_STATUSES = ['starting', 'running', 'completed', 'suspended'];
+
+// Bind addresses that listen everywhere; containers then use their own network's gateway
+const WILDCARD_ADDRESSES = ['0.0.0.0', '::'];
+
+/**
+ * Address the internal API listens on, resolved once
+ */
+let internalApiAddress = null;
+
+/**
+ * When last_activity was last written per subdomain, so busy exercises don't
+ * cause a database write on every request
+ */
+const activityWrites = new Map();
+
+/**
+ * Check whether a TCP connection can be opened
+ * @param {string} host - Host address
+ * @param {number} port - Port number
+ * @returns {Promise<boolean>}
+ */
+function probeTcp(host, port) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host, port });
+        socket.setTimeout(2000);
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve(true);
+        });
+        socket.once('timeout', () => {
+            socket.destroy();
+            resolve(false);
+        });
+        socket.once('error', () => resolve(false));
+    });
+}
 
 class DockerService {
     static isAvailable() {
@@ -26,21 +86,8 @@ class DockerService {
         }
 
         try {
-            // Ensure training network exists
-            const networks = await docker.listNetworks({
-                filters: { name: ['training_network'] }
-            });
-
-            if (networks.length === 0) {
-                logger.info('Creating training network...');
-                await docker.createNetwork({
-                    Name: 'training_network',
-                    Driver: 'bridge'
-                });
-            }
-
             const subdomain = uuidv4();
-            const containerName = `training-${subdomain}`;
+            const callbackSecret = CallbackService.generateSecret();
 
             // Get image details from database
             const image = await new Promise((resolve, reject) => {
@@ -56,48 +103,28 @@ class DockerService {
 
             logger.info('Creating container:', { imageId, imageName: image.image_id });
 
-            // Create container
-            const container = await docker.createContainer({
-                Image: image.image_id,
-                name: containerName,
-                Env: [
-                    `TRAINING_SUBDOMAIN=${subdomain}`,
-                    `CALLBACK_URL=http://localhost:3000/api/containers/${subdomain}/complete`
-                ],
-                ExposedPorts: {
-                    '8080/tcp': {}
-                },
-                HostConfig: {
-                    NetworkMode: 'training_network',
-                    PortBindings: {
-                        '8080/tcp': [
-                            {
-                                HostPort: '0' // Dynamically assign a port
-                            }
-                        ]
-                    },
-                    RestartPolicy: {
-                        Name: 'no'
-                    }
-                },
-                Labels: {
-                    'training.subdomain': subdomain,
-                    'training.user': userId.toString(),
-                    'training.image': imageId.toString()
-                }
+            const launch = await this.startLaunch({
+                imageId,
+                userId,
+                subdomain,
+                callbackSecret,
+                imageTag: image.image_id,
+                metadata: image.metadata
             });
+            const { container, containerIp, containerPort } = launch;
 
-            await container.start();
-
-            // Get the assigned port
-            const containerData = await container.inspect();
-            const hostPort = containerData.NetworkSettings.Ports['8080/tcp'][0].HostPort;
-
-            // Store container info in database
+            // Store container info in database; it is proxied once it reports ready
             await new Promise((resolve, reject) => {
                 db.run(
-                    'INSERT INTO containers (container_id, image_id, user_id, subdomain, status, host_port) VALUES (?, ?, ?, ?, ?, ?)',
-                    [container.id, imageId, userId, subdomain, 'running', hostPort],
+                    `INSERT INTO containers
+                        (container_id, image_id, version_id, user_id, subdomain, status, container_ip, container_port,
+                         callback_secret, expires_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+                    [
+                        container.id, imageId, image.active_version_id, userId, subdomain,
+                        'starting', containerIp, containerPort, callbackSecret,
+                        `+${CONTAINER_MAX_LIFETIME / 1000} seconds`
+                    ],
                     (err) => {
                         if (err) reject(err);
                         resolve();
@@ -105,19 +132,30 @@ class DockerService {
                 );
             });
 
-            // Start container monitoring
-            this.monitorContainer(container.id, subdomain);
+            await FlagService.storeFlags(userId, imageId, container.id, launch.flags);
 
             // Log container creation
             await SystemLogger.logEvent('container_created', userId, container.id, {
                 image_id: imageId,
                 subdomain,
-                host_port: hostPort
+                container_ip: containerIp,
+                container_port: containerPort,
+                services: launch.services.map(service => service.name),
+                egress: launch.egress,
+                resources: launch.resources
             });
 
+            // Mark the launch running once every service passes its health check
+            this.awaitLaunchReady(
+                { container_id: container.id, user_id: userId, image_id: imageId },
+                launch.readiness
+            );
+
             return {
                 containerId: container.id,
-                subdomain: `${subdomain}.apptraining.dbg.local`
+                subdomain: exerciseHost(subdomain),
+                url: exerciseUrl(subdomain),
+                status: 'starting'
             };
         } catch (error) {
             logger.error('Error creating container:', error);
@@ -125,26 +163,375 @@ class DockerService {
         }
     }
 
-    static async stopContainer(containerId) {
+    /**
+     * Create and start the network and containers of a launch
+     * @param {Object} launch - Launch details
+     * @param {number} launch.imageId - Exercise (docker_images) ID
+     * @param {number} launch.userId - Trainee
+     * @param {string} launch.subdomain - Launch subdomain
+     * @param {string} launch.callbackSecret - Secret for completion callbacks
+     * @param {string} launch.imageTag - Image tag of the exercise version
+     * @param {string} launch.metadata - Metadata of the exercise version
+     * @returns {Promise<Object>} The entry container, its address and port, the issued flags,
+     *     and the containers to wait for before the launch is ready
+     */
+    static async startLaunch({ imageId, userId, subdomain, callbackSecret, imageTag, metadata: rawMetadata }) {
+        const containerName = `training-${subdomain}`;
+
+        // Generate per-launch flags for goals completed by flag submission
+        const flags = FlagService.generateFlags(rawMetadata);
+
+        const metadata = JSON.parse(rawMetadata || '{}');
+        const services = getServices(metadata);
+        const entry = services.find(service => service.entry);
+        const resourceSettings = await SettingsService.get('container_resources');
+        const networkSettings = await SettingsService.get('container_network');
+
+        const user = await new Promise((resolve, reject) => {
+            db.get('SELECT username FROM users WHERE id = ?', [userId], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        const templateContext = {
+            userId,
+            imageId,
+            username: user ? user.username : '',
+            subdomain,
+            exerciseUrl: exerciseUrl(subdomain)
+        };
+        const platformEnv = [
+            `TRAINING_SUBDOMAIN=${subdomain}`,
+            `TRAINING_PLATFORM_URL=${platformUrl()}`,
+            `TRAINING_API_URL=${internalApiUrl()}`,
+            `CALLBACK_URL=${internalApiUrl()}/complete`
+        ];
+        // Anything holding these can report goals, so supporting services must ask for them
+        const secretEnv = [
+            `TRAINING_CALLBACK_SECRET=${callbackSecret}`,
+            ...flags.map(({ env, flag }) => `${env}=${flag}`)
+        ];
+
+        // Every launch gets a private network where its services reach each other
+        // by name; without egress it is internal and has no route out
+        const egress = networkSettings.allow_egress &&
+            (metadata.network && typeof metadata.network.egress === 'boolean'
+                ? metadata.network.egress
+                : networkSettings.egress);
+        const networkName = await this.createLaunchNetwork(subdomain, { internal: !egress });
+
+        // Point containers at the platform's internal API. Addresses of the Docker
+        // host are reachable from every launch network, even internal ones.
+        const apiAddress = await this.getInternalApiAddress();
+        const apiHost = WILDCARD_ADDRESSES.includes(apiAddress)
+            ? await this.getNetworkGateway(networkName)
+            : apiAddress;
+        const extraHosts = apiHost ? [`${INTERNAL_API_HOST}:${apiHost}`] : [];
+
+        // Port the entry service listens on inside the container
+        const containerPort = await this.resolveExercisePort(imageTag, entry);
+        const portKey = `${containerPort}/tcp`;
+
+        // Start supporting services first so they are up when the entry service starts
+        const ordered = [...services.filter(service => !service.entry), entry];
+        const launched = [];
+        let resources;
+
+        try {
+            for (const service of ordered) {
+                // Apply the service's resource limits within the platform ceilings
+                const serviceResources = resolveResources(service.resources, resourceSettings);
+                if (service.entry) {
+                    resources = serviceResources;
+                }
+
+                const container = await docker.createContainer({
+                    Image: serviceImageTag(imageTag, service),
+                    name: service.entry ? containerName : `${containerName}-${service.name}`,
+                    Env: [
+                        // Exercise-declared variables, with platform variables taking precedence
+                        ...renderEnvironment(service.environment_variables, templateContext, flags.map(({ env }) => env)),
+                        ...platformEnv,
+                        ...(service.secrets ? secretEnv : [])
+                    ],
+                    ExposedPorts: service.entry ? { [portKey]: {} } : {},
+                    HostConfig: {
+                        ...toHostConfig(serviceResources),
+                        NetworkMode: networkName,
+                        ExtraHosts: extraHosts,
+                        RestartPolicy: {
+                            Name: 'no'
+                        }
+                    },
+                    NetworkingConfig: {
+                        EndpointsConfig: {
+                            [networkName]: { Aliases: [service.name] }
+                        }
+                    },
+                    Labels: {
+                        'training.subdomain': subdomain,
+                        'training.user': userId.toString(),
+                        'training.image': imageId.toString(),
+                        'training.service': service.name
+                    }
+                });
+
+                launched.push({ container, service });
+                await container.start();
+            }
+        } catch (error) {
+            await this.teardownLaunch(subdomain).catch(() => {});
+            throw error;
+        }
+
+        const container = launched.find(({ service }) => service.entry).container;
+
+        // Only the entry service is proxied, directly at its address on the launch network
+        const containerData = await container.inspect();
+        const containerIp = containerData.NetworkSettings.Networks[networkName].IPAddress;
+
+        return {
+            container,
+            containerIp,
+            containerPort,
+            flags,
+            services,
+            egress,
+            resources,
+            readiness: launched.map(({ container: serviceContainer, service }) => ({
+                id: serviceContainer.id,
+                port: service.entry ? containerPort : null
+            }))
+        };
+    }
+
+    /**
+     * Replace a launch's containers with fresh ones from the same exercise
+     * version, keeping its subdomain, lifetime and progress
+     * @param {string} containerId - Entry container ID
+     * @returns {Promise<Object|null>} The new entry container, or null if the launch isn't running
+     */
+    static async resetContainer(containerId) {
         if (!this.isAvailable()) {
             throw new Error('Docker service is not available');
         }
 
+        const launch = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT c.*, COALESCE(v.image_tag, i.image_id) as image_tag, COALESCE(v.metadata, i.metadata) as metadata
+                 FROM containers c
+                 JOIN docker_images i ON c.image_id = i.id
+                 LEFT JOIN exercise_versions v ON c.version_id = v.id
+                 WHERE c.container_id = ?`,
+                [containerId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        if (!launch) {
+            throw new Error('Container not found');
+        }
+
+        logger.info('Resetting container:', { containerId, subdomain: launch.subdomain });
+
+        // Hold off the proxy and the reaper while the containers are replaced.
+        // Only a running launch can be reset: one still starting has a readiness
+        // wait in flight that would stop the replacement containers if it failed.
+        const changes = await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE containers SET status = 'starting', last_activity = CURRENT_TIMESTAMP
+                 WHERE container_id = ? AND status = 'running'`,
+                [containerId],
+                function(err) {
+                    if (err) reject(err);
+                    resolve(this.changes);
+                }
+            );
+        });
+
+        if (changes === 0) {
+            return null;
+        }
+
+        await this.teardownLaunch(launch.subdomain, containerId);
+
+        let started;
         try {
-            // Get container info before stopping
-            const containerInfo = await new Promise((resolve, reject) => {
-                db.get(
-                    'SELECT user_id, image_id FROM containers WHERE container_id = ?',
-                    [containerId],
-                    (err, row) => {
+            started = await this.startLaunch({
+                imageId: launch.image_id,
+                userId: launch.user_id,
+                subdomain: launch.subdomain,
+                callbackSecret: launch.callback_secret,
+                imageTag: launch.image_tag,
+                metadata: launch.metadata
+            });
+        } catch (error) {
+            // The old containers are gone, so the launch is over
+            await new Promise((resolve, reject) => {
+                db.run(
+                    'UPDATE containers SET status = ? WHERE container_id = ?',
+                    ['stopped', containerId],
+                    (err) => {
                         if (err) reject(err);
-                        resolve(row);
+                        resolve();
                     }
                 );
             });
+            await SystemLogger.logEvent('container_failed', launch.user_id, containerId, {
+                image_id: launch.image_id,
+                reason: `Reset failed: ${error.message}`
+            }).catch(() => {});
+            throw error;
+        }
+        const { container, containerIp, containerPort } = started;
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE containers SET container_id = ?, container_ip = ?, container_port = ? WHERE id = ?`,
+                [container.id, containerIp, containerPort, launch.id],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        await FlagService.storeFlags(launch.user_id, launch.image_id, container.id, started.flags);
+
+        await SystemLogger.logEvent('container_reset', launch.user_id, container.id, {
+            image_id: launch.image_id,
+            version_id: launch.version_id,
+            subdomain: launch.subdomain,
+            previous_container_id: containerId
+        });
+
+        this.awaitLaunchReady(
+            { container_id: container.id, user_id: launch.user_id, image_id: launch.image_id },
+            started.readiness
+        );
+
+        return {
+            containerId: container.id,
+            subdomain: exerciseHost(launch.subdomain),
+            url: exerciseUrl(launch.subdomain),
+            status: 'starting'
+        };
+    }
+
+    /**
+     * Create the private network of one launch. Docker isolates bridge networks
+     * from each other, so other trainees' containers are unreachable.
+     * @param {string} subdomain - Launch subdomain
+     * @param {Object} [options] - { internal: true to block outbound traffic }
+     * @returns {Promise<string>} Network name
+     */
+    static async createLaunchNetwork(subdomain, { internal = true } = {}) {
+        const name = `training-${subdomain}`;
+        await docker.createNetwork({
+            Name: name,
+            Driver: 'bridge',
+            Internal: internal,
+            Labels: {
+                'training.subdomain': subdomain
+            }
+        });
+        return name;
+    }
+
+    /**
+     * Address of the Docker host on a network
+     * @param {string} networkName - Network name, e.g. a launch network or "bridge"
+     * @returns {Promise<string|null>}
+     */
+    static async getNetworkGateway(networkName) {
+        try {
+            const info = await docker.getNetwork(networkName).inspect();
+            const config = ((info.IPAM && info.IPAM.Config) || []).find(entry => entry.Gateway);
+            if (config) {
+                return config.Gateway;
+            }
+        } catch (error) {
+            logger.error('Error inspecting launch network:', { networkName, error: error.message });
+        }
+        logger.warn('No gateway found on network:', { networkName });
+        return null;
+    }
+
+    /**
+     * Address the internal API listens on and containers call: INTERNAL_API_BIND_HOST,
+     * or else the gateway of Docker's default bridge so it isn't exposed beyond the host
+     * @returns {Promise<string|null>} null if there is no address to listen on
+     */
+    static getInternalApiAddress() {
+        if (!internalApiAddress) {
+            const configured = getInternalApiBindHost();
+            internalApiAddress = configured
+                ? Promise.resolve(configured)
+                : (this.isAvailable() ? this.getNetworkGateway('bridge') : Promise.resolve(null));
+        }
+        return internalApiAddress;
+    }
+
+    /**
+     * Find the launch a request to the internal API came from, by matching its
+     * source address against the containers on launch networks
+     * @param {string} address - Remote address of the request
+     * @returns {Promise<{container: Object, service: string}|null>} The launch's
+     *     containers row and the name of the calling service
+     */
+    static async findLaunchByAddress(address) {
+        if (!this.isAvailable() || !address) {
+            return null;
+        }
+
+        const ip = address.replace(/^::ffff:/, '');
+        const containers = await docker.listContainers({
+            filters: { label: ['training.subdomain'] }
+        });
+        const caller = containers.find(container => (
+            Object.values((container.NetworkSettings && container.NetworkSettings.Networks) || {})
+                .some(network => network.IPAddress === ip)
+        ));
+        if (!caller) {
+            return null;
+        }
+
+        const launch = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT * FROM containers WHERE subdomain = ? AND status IN ('starting', 'running', 'completed')`,
+                [caller.Labels['training.subdomain']],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        return launch ? { container: launch, service: caller.Labels['training.service'] } : null;
+    }
+
+    /**
+     * Stop and remove every container of a launch, then its private network
+     * @param {string} subdomain - Launch subdomain
+     * @param {string} [containerId] - Entry container, removed even if its labels are gone
+     */
+    static async teardownLaunch(subdomain, containerId) {
+        const containers = await docker.listContainers({
+            all: true,
+            filters: { label: [`training.subdomain=${subdomain}`] }
+        });
+        const containerIds = new Set(containers.map(container => container.Id));
+        if (containerId) {
+            containerIds.add(containerId);
+        }
+
+        for (const id of containerIds) {
+            const container = docker.getContainer(id);
 
-            const container = docker.getContainer(containerId);
-            
             // Force stop the container
             try {
                 await container.stop();
@@ -158,36 +545,186 @@ class DockerService {
             } catch (error) {
                 logger.warn('Error removing container:', error.message);
             }
+        }
+
+        const networks = await docker.listNetworks({
+            filters: { label: [`training.subdomain=${subdomain}`] }
+        });
+        for (const network of networks) {
+            try {
+                await docker.getNetwork(network.Id).remove();
+            } catch (error) {
+                logger.warn('Error removing launch network:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Determine the port an exercise listens on: the declared `port`, else the
+     * single TCP port the image exposes, else the platform default of 8080
+     * @param {string} imageTag - Docker image tag
+     * @param {Object} service - Entry service from getServices()
+     * @returns {Promise<number>} Container port
+     */
+    static async resolveExercisePort(imageTag, service) {
+        if (service.port) {
+            return Number(service.port);
+        }
+
+        try {
+            const imageData = await docker.getImage(imageTag).inspect();
+            const exposed = Object.keys(imageData.Config.ExposedPorts || {})
+                .filter(key => key.endsWith('/tcp'))
+                .map(key => parseInt(key, 10));
+
+            if (exposed.length === 1) {
+                return exposed[0];
+            }
+            if (exposed.length > 1) {
+                const port = exposed.includes(DEFAULT_EXERCISE_PORT) ? DEFAULT_EXERCISE_PORT : Math.min(...exposed);
+                logger.warn('Image exposes several ports and metadata declares none, using:', { imageTag, exposed, port });
+                return port;
+            }
+        } catch (error) {
+            logger.warn('Unable to inspect image for exposed ports:', { imageTag, error: error.message });
+        }
+
+        return DEFAULT_EXERCISE_PORT;
+    }
+
+    /**
+     * Wait until a container is ready to serve traffic. Images with a HEALTHCHECK
+     * must report healthy; otherwise the exercise port must accept TCP connections.
+     * @param {string} containerId - Docker container ID
+     * @param {number|null} containerPort - Port the exercise listens on; null for
+     *     services that aren't proxied, which are ready once running
+     * @returns {Promise<void>} Resolves when ready, rejects on failure or timeout
+     */
+    static async waitUntilReady(containerId, containerPort) {
+        const container = docker.getContainer(containerId);
+        const deadline = Date.now() + CONTAINER_STARTUP_TIMEOUT;
+
+        while (Date.now() < deadline) {
+            const data = await container.inspect();
+
+            if (!data.State.Running) {
+                throw new Error(`Container exited during startup (exit code ${data.State.ExitCode})`);
+            }
+
+            if (data.State.Health) {
+                if (data.State.Health.Status === 'healthy') {
+                    return;
+                }
+                if (data.State.Health.Status === 'unhealthy') {
+                    throw new Error('Container health check reported unhealthy');
+                }
+            } else if (containerPort === null) {
+                return;
+            } else {
+                // Probe the container address directly; the published host port is
+                // accepted by Docker's proxy before the exercise is listening
+                const address = Object.values(data.NetworkSettings.Networks || {})
+                    .map(network => network.IPAddress)
+                    .find(Boolean);
+                if (address && await probeTcp(address, containerPort)) {
+                    return;
+                }
+            }
+
+            await new Promise(resolve => setTimeout(resolve, READINESS_POLL_INTERVAL));
+        }
+
+        throw new Error(`Container did not become ready within ${CONTAINER_STARTUP_TIMEOUT / 1000} seconds`);
+    }
+
+    /**
+     * Wait for every container of a launch in the background, then mark it
+     * running, or stop it if any service fails to start
+     * @param {Object} launch - Containers row (container_id, user_id, image_id)
+     * @param {Array<{id: string, port: number|null}>} services - Containers to wait for
+     */
+    static awaitLaunchReady(launch, services) {
+        Promise.all(services.map(service => this.waitUntilReady(service.id, service.port)))
+            .then(() => this.markReady(launch.container_id))
+            .catch(async (error) => {
+                logger.error('Container failed to become ready:', { containerId: launch.container_id, error: error.message });
+                await SystemLogger.logEvent('container_failed', launch.user_id, launch.container_id, {
+                    image_id: launch.image_id,
+                    reason: error.message
+                }).catch(() => {});
+                await this.stopContainer(launch.container_id).catch(() => {});
+            });
+    }
+
+    static async markReady(containerId) {
+        await new Promise((resolve, reject) => {
+            db.run(
+                'UPDATE containers SET status = ? WHERE container_id = ? AND status = ?',
+                ['running', containerId, 'starting'],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+        logger.info('Container ready:', { containerId });
+    }
+
+    /**
+     * Stop a launch and all of its services
+     * @param {string} containerId - Entry container ID
+     * @param {string} [reason] - Why the platform stopped it, e.g. "idle"
+     */
+    static async stopContainer(containerId, reason) {
+        if (!this.isAvailable()) {
+            throw new Error('Docker service is not available');
+        }
+
+        try {
+            // Get container info before stopping
+            const containerInfo = await new Promise((resolve, reject) => {
+                db.get(
+                    'SELECT user_id, image_id, subdomain FROM containers WHERE container_id = ?',
+                    [containerId],
+                    (err, row) => {
+                        if (err) reject(err);
+                        resolve(row);
+                    }
+                );
+            });
+
+            // Remove the container together with the other services of its launch
+            if (containerInfo) {
+                await this.teardownLaunch(containerInfo.subdomain, containerId);
+            } else {
+                const container = docker.getContainer(containerId);
+                try {
+                    await container.remove({ force: true, v: true });
+                } catch (error) {
+                    logger.warn('Error removing container:', error.message);
+                }
+            }
 
             // Log container stop
             if (containerInfo) {
                 await SystemLogger.logEvent('container_stopped', containerInfo.user_id, containerId, {
-                    image_id: containerInfo.image_id
+                    image_id: containerInfo.image_id,
+                    ...(reason ? { reason } : {})
                 });
+                activityWrites.delete(containerInfo.subdomain);
             }
 
-            // Update database and cleanup
-            await Promise.all([
-                new Promise((resolve, reject) => {
-                    db.run(
-                        'UPDATE containers SET status = ? WHERE container_id = ?',
-                        ['stopped', containerId],
-                        (err) => {
-                            if (err) reject(err);
-                            resolve();
-                        }
-                    );
-                }),
-                new Promise((resolve, reject) => {
-                    db.get('SELECT subdomain FROM containers WHERE container_id = ?', [containerId], (err, row) => {
+            // Update database
+            await new Promise((resolve, reject) => {
+                db.run(
+                    'UPDATE containers SET status = ? WHERE container_id = ?',
+                    ['stopped', containerId],
+                    (err) => {
                         if (err) reject(err);
-                        if (row && row.subdomain) {
-                            global.containerActivity.delete(row.subdomain);
-                        }
                         resolve();
-                    });
-                })
-            ]);
+                    }
+                );
+            });
 
         } catch (error) {
             logger.error('Error stopping container:', error);
@@ -195,44 +732,416 @@ class DockerService {
         }
     }
 
-    static async monitorContainer(containerId, subdomain) {
-        if (!this.isAvailable()) {
+    /**
+     * Record that a trainee used a launch. Writes are throttled per subdomain;
+     * the reaper only needs minute precision.
+     * @param {string} subdomain - Launch subdomain
+     */
+    static async recordActivity(subdomain) {
+        const now = Date.now();
+        if (now - (activityWrites.get(subdomain) || 0) < ACTIVITY_WRITE_INTERVAL) {
             return;
         }
+        activityWrites.set(subdomain, now);
 
-        const container = docker.getContainer(containerId);
-        let lastActivity = Date.now();
-        const startTime = Date.now();
+        await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE containers SET last_activity = CURRENT_TIMESTAMP
+                 WHERE subdomain = ? AND status IN ('starting', 'running')`,
+                [subdomain],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+    }
 
-        // Update last activity when requests are made
-        this.setupActivityMonitoring(subdomain, () => {
-            lastActivity = Date.now();
+    /**
+     * Grant a launch more time under its exercise's extension policy. The
+     * lifetime is pushed back by one extension and the idle timer restarts.
+     * @param {string} containerId - Entry container ID
+     * @returns {Promise<Object|null>} Updated budget, or null if no extensions are left
+     */
+    static async extendContainer(containerId) {
+        const launch = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT c.container_id, c.user_id, c.image_id, c.extensions, i.extension_policy
+                 FROM containers c
+                 JOIN docker_images i ON c.image_id = i.id
+                 WHERE c.container_id = ?`,
+                [containerId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
         });
+        const policy = resolveExtensionPolicy(
+            launch.extension_policy,
+            await SettingsService.get('container_extensions')
+        );
 
-        const checkActivity = async () => {
-            const now = Date.now();
-            const idleTime = now - lastActivity;
-            const lifetime = now - startTime;
+        // The extension count in the WHERE clause keeps concurrent requests within the limit
+        const changes = await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE containers
+                 SET expires_at = datetime(expires_at, ?), extensions = extensions + 1,
+                     last_activity = CURRENT_TIMESTAMP
+                 WHERE container_id = ? AND extensions < ? AND status IN ('starting', 'running')`,
+                [`+${policy.extension_minutes * 60} seconds`, containerId, policy.max_extensions],
+                function(err) {
+                    if (err) reject(err);
+                    resolve(this.changes);
+                }
+            );
+        });
 
-            if (idleTime >= CONTAINER_IDLE_TIMEOUT || lifetime >= CONTAINER_MAX_LIFETIME) {
-                try {
-                    await this.stopContainer(containerId);
-                    logger.info(`Container ${containerId} stopped due to ${idleTime >= CONTAINER_IDLE_TIMEOUT ? 'inactivity' : 'lifetime limit'}`);
-                } catch (error) {
-                    logger.error('Error stopping inactive container:', error);
+        if (changes === 0) {
+            return null;
+        }
+
+        await SystemLogger.logEvent('container_extended', launch.user_id, containerId, {
+            image_id: launch.image_id,
+            extension_minutes: policy.extension_minutes,
+            extensions: launch.extensions + 1
+        });
+
+        return this.getBudget(containerId);
+    }
+
+    /**
+     * Time a launch has left before the reaper stops it
+     * @param {string} containerId - Entry container ID
+     * @returns {Promise<Object>} Seconds of idle and lifetime budget left, and the extensions left
+     */
+    static async getBudget(containerId) {
+        const [launch] = await this.withBudget(await new Promise((resolve, reject) => {
+            db.all(
+                `SELECT c.*, i.extension_policy FROM containers c
+                 JOIN docker_images i ON c.image_id = i.id
+                 WHERE c.container_id = ?`,
+                [containerId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
                 }
-                return;
+            );
+        }));
+        return launch && launch.budget;
+    }
+
+    /**
+     * Attach the remaining budget to containers rows joined with their
+     * exercise's extension_policy
+     * @param {Array<Object>} launches - Containers rows
+     * @returns {Promise<Array<Object>>} The rows with a `budget` field
+     */
+    static async withBudget(launches) {
+        const defaults = await SettingsService.get('container_extensions');
+        const suspendSettings = await SettingsService.get('container_suspend');
+        const now = Date.now();
+        // SQLite timestamps are UTC without a zone designator
+        const secondsUntil = (timestamp, from = now) =>
+            Math.floor((Date.parse(`${timestamp.replace(' ', 'T')}Z`) - from) / 1000);
+
+        return launches.map(({ extension_policy: extensionPolicy, ...launch }) => {
+            const policy = resolveExtensionPolicy(extensionPolicy, defaults);
+
+            // The lifetime doesn't run down while suspended
+            if (launch.status === 'suspended') {
+                const suspendedAt = Date.parse(`${launch.suspended_at.replace(' ', 'T')}Z`);
+                return {
+                    ...launch,
+                    budget: {
+                        idle_remaining: null,
+                        lifetime_remaining: Math.max(0, secondsUntil(launch.expires_at, suspendedAt)),
+                        retention_remaining: Math.max(0,
+                            secondsUntil(launch.suspended_at) + Math.floor(suspendSettings.retention_hours * 3600)),
+                        extensions_used: launch.extensions,
+                        extensions_remaining: Math.max(0, policy.max_extensions - launch.extensions),
+                        extension_minutes: policy.extension_minutes
+                    }
+                };
             }
 
-            setTimeout(checkActivity, 60000); // Check every minute
-        };
+            const idleRemaining = Math.max(0, secondsUntil(launch.last_activity) + CONTAINER_IDLE_TIMEOUT / 1000);
+            const lifetimeRemaining = Math.max(0, secondsUntil(launch.expires_at));
+            return {
+                ...launch,
+                budget: {
+                    idle_remaining: Math.min(idleRemaining, lifetimeRemaining),
+                    lifetime_remaining: lifetimeRemaining,
+                    expires_at: launch.expires_at,
+                    extensions_used: launch.extensions,
+                    extensions_remaining: Math.max(0, policy.max_extensions - launch.extensions),
+                    extension_minutes: policy.extension_minutes
+                }
+            };
+        });
+    }
+
+    /**
+     * Suspend a launch instead of removing it, so the trainee's state survives
+     * @param {string} containerId - Entry container ID
+     * @param {string} mode - "pause" to freeze the containers, "stop" to stop them
+     */
+    static async suspendContainer(containerId, mode) {
+        const launch = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM containers WHERE container_id = ?', [containerId], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        const containers = await docker.listContainers({
+            all: true,
+            filters: { label: [`training.subdomain=${launch.subdomain}`] }
+        });
+        for (const { Id: id } of containers) {
+            const container = docker.getContainer(id);
+            if (mode === 'pause') {
+                await container.pause();
+            } else {
+                await container.stop();
+            }
+        }
 
-        checkActivity();
+        await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE containers SET status = 'suspended', suspended_at = CURRENT_TIMESTAMP WHERE container_id = ?`,
+                [containerId],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+        activityWrites.delete(launch.subdomain);
+
+        await SystemLogger.logEvent('container_suspended', launch.user_id, containerId, {
+            image_id: launch.image_id,
+            mode
+        });
+        logger.info('Container suspended:', { containerId, mode });
     }
 
-    static setupActivityMonitoring(subdomain, callback) {
-        global.containerActivity = global.containerActivity || new Map();
-        global.containerActivity.set(subdomain, callback);
+    /**
+     * Bring a suspended launch back on the same subdomain. It is proxied again
+     * once every service is ready, and its lifetime picks up where it left off.
+     * @param {string} containerId - Entry container ID
+     */
+    static async resumeContainer(containerId) {
+        const launch = await new Promise((resolve, reject) => {
+            db.get(`SELECT * FROM containers WHERE container_id = ? AND status = 'suspended'`, [containerId], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+        if (!launch) {
+            throw new Error('Container is not suspended');
+        }
+
+        const containers = await docker.listContainers({
+            all: true,
+            filters: { label: [`training.subdomain=${launch.subdomain}`] }
+        });
+        if (!containers.some(c => c.Id === containerId)) {
+            throw new Error('Suspended container no longer exists');
+        }
+
+        for (const { Id: id } of containers) {
+            const container = docker.getContainer(id);
+            const data = await container.inspect();
+            if (data.State.Paused) {
+                await container.unpause();
+            } else if (!data.State.Running) {
+                await container.start();
+            }
+        }
+
+        // A restarted container may come back with a new address
+        const entryData = await docker.getContainer(containerId).inspect();
+        const networks = entryData.NetworkSettings.Networks || {};
+        const network = networks[`training-${launch.subdomain}`] || Object.values(networks)[0];
+        const containerIp = network ? network.IPAddress : launch.container_ip;
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE containers
+                 SET status = 'starting', container_ip = ?, last_activity = CURRENT_TIMESTAMP,
+                     expires_at = datetime(strftime('%s', expires_at) + strftime('%s', 'now') - strftime('%s', suspended_at), 'unixepoch'),
+                     suspended_at = NULL
+                 WHERE container_id = ?`,
+                [containerIp, containerId],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        await SystemLogger.logEvent('container_resumed', launch.user_id, containerId, {
+            image_id: launch.image_id
+        });
+
+        this.awaitLaunchReady(launch, containers.map(c => ({
+            id: c.Id,
+            port: c.Id === containerId ? launch.container_port : null
+        })));
+    }
+
+    /**
+     * Enforce launch limits, working only from the containers table so they
+     * hold across platform restarts: launches past their lifetime are stopped,
+     * idle launches are suspended (or stopped when suspending is off), and
+     * suspended launches are removed after the retention period
+     */
+    static async reapContainers() {
+        const suspendSettings = await SettingsService.get('container_suspend');
+
+        const expired = await new Promise((resolve, reject) => {
+            db.all(
+                `SELECT container_id, user_id, status,
+                        CASE WHEN datetime(expires_at) <= datetime('now') THEN 'lifetime' ELSE 'idle' END as reason
+                 FROM containers
+                 WHERE status IN ('starting', 'running', 'completed')
+                 AND (datetime(last_activity) <= datetime('now', ?) OR datetime(expires_at) <= datetime('now'))`,
+                [`-${CONTAINER_IDLE_TIMEOUT / 1000} seconds`],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+
+        for (const row of expired) {
+            try {
+                if (row.reason === 'idle' && row.status === 'running' && suspendSettings.mode !== 'off' &&
+                    await this.makeSuspendRoom(row.user_id, suspendSettings.max_suspended)) {
+                    try {
+                        await this.suspendContainer(row.container_id, suspendSettings.mode);
+                        continue;
+                    } catch (error) {
+                        logger.error('Error suspending container, stopping it instead:', error);
+                    }
+                }
+                await this.stopContainer(row.container_id, row.reason);
+                logger.info(`Container ${row.container_id} stopped due to ${row.reason === 'idle' ? 'inactivity' : 'lifetime limit'}`);
+            } catch (error) {
+                logger.error('Error stopping expired container:', error);
+            }
+        }
+
+        const retained = await new Promise((resolve, reject) => {
+            db.all(
+                `SELECT container_id FROM containers
+                 WHERE status = 'suspended' AND datetime(suspended_at) <= datetime('now', ?)`,
+                [`-${Math.floor(suspendSettings.retention_hours * 3600)} seconds`],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+
+        for (const row of retained) {
+            try {
+                await this.stopContainer(row.container_id, 'retention');
+                logger.info(`Suspended container ${row.container_id} removed after retention period`);
+            } catch (error) {
+                logger.error('Error removing suspended container:', error);
+            }
+        }
+    }
+
+    /**
+     * Make room in a user's suspended quota by removing their oldest suspended launches
+     * @param {number} userId - Trainee
+     * @param {number} maxSuspended - Suspended quota
+     * @returns {Promise<boolean>} False if the quota doesn't allow suspending at all
+     */
+    static async makeSuspendRoom(userId, maxSuspended) {
+        if (maxSuspended < 1) {
+            return false;
+        }
+
+        const suspended = await new Promise((resolve, reject) => {
+            db.all(
+                `SELECT container_id FROM containers WHERE user_id = ? AND status = 'suspended'
+                 ORDER BY suspended_at DESC, id DESC`,
+                [userId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+
+        for (const row of suspended.slice(maxSuspended - 1)) {
+            await this.stopContainer(row.container_id, 'suspend_quota');
+        }
+        return true;
+    }
+
+    /**
+     * Bring the containers table and Docker back in line after a restart:
+     * launches whose containers are gone are marked stopped, containers of
+     * launches that are no longer active are removed, and launches that were
+     * still starting are watched again
+     */
+    static async reconcileContainers() {
+        const launches = await new Promise((resolve, reject) => {
+            db.all(
+                `SELECT * FROM containers WHERE status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`,
+                ACTIVE_STATUSES,
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+
+        const dockerContainers = await docker.listContainers({
+            all: true,
+            filters: { label: ['training.subdomain'] }
+        });
+
+        for (const launch of launches) {
+            const services = dockerContainers.filter(c => c.Labels['training.subdomain'] === launch.subdomain);
+            const entry = services.find(c => c.Id === launch.container_id);
+
+            // Suspended launches are paused or stopped on purpose
+            const expectedStates = launch.status === 'suspended' ? ['paused', 'exited'] : ['running'];
+            if (!entry || services.some(c => !expectedStates.includes(c.State))) {
+                logger.warn('Launch no longer running in Docker, stopping:', { containerId: launch.container_id });
+                await this.stopContainer(launch.container_id, 'reconciled').catch(error => {
+                    logger.error('Error stopping reconciled container:', error);
+                });
+            } else if (launch.status === 'starting') {
+                this.awaitLaunchReady(launch, services.map(c => ({
+                    id: c.Id,
+                    port: c.Id === launch.container_id ? launch.container_port : null
+                })));
+            }
+        }
+
+        // Containers left behind by launches that ended while the platform was down
+        const activeSubdomains = new Set(launches.map(launch => launch.subdomain));
+        const staleSubdomains = new Set(dockerContainers
+            .map(c => c.Labels['training.subdomain'])
+            .filter(subdomain => !activeSubdomains.has(subdomain)));
+        for (const subdomain of staleSubdomains) {
+            logger.warn('Removing containers of inactive launch:', { subdomain });
+            await this.teardownLaunch(subdomain).catch(error => {
+                logger.error('Error removing containers of inactive launch:', error);
+            });
+        }
+
+        logger.info('Reconciled containers with Docker:', {
+            launches: launches.length,
+            removed: staleSubdomains.size
+        });
     }
 
     static async handleExerciseCompletion(subdomain, data) {
@@ -252,39 +1161,31 @@ class DockerService {
                 throw new Error('Container not found');
             }
 
-            // Log exercise completion
-            await SystemLogger.logEvent('exercise_completed', containerInfo.user_id, containerInfo.container_id, {
-                image_id: containerInfo.image_id,
-                completion_data: data
+            // Goals can only be reported while the launch is running
+            if (!['starting', 'running'].includes(containerInfo.status)) {
+                throw new CompletionError('Launch is not active');
+            }
+
+            const image = await new Promise((resolve, reject) => {
+                db.get('SELECT * FROM docker_images WHERE id = ?', [containerInfo.image_id], (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                });
             });
 
-            // Update exercise progress and container status
-            await Promise.all([
-                new Promise((resolve, reject) => {
-                    db.run(
-                        `UPDATE exercise_progress 
-                         SET status = 'completed', completed_at = CURRENT_TIMESTAMP 
-                         WHERE user_id = ? AND image_id = ?`,
-                        [containerInfo.user_id, containerInfo.image_id],
-                        (err) => {
-                            if (err) reject(err);
-                            resolve();
-                        }
-                    );
-                }),
-                new Promise((resolve, reject) => {
-                    db.run(
-                        'UPDATE containers SET status = ? WHERE subdomain = ?',
-                        ['completed', subdomain],
-                        (err) => {
-                            if (err) reject(err);
-                            resolve();
-                        }
-                    );
-                })
-            ]);
+            if (!image) {
+                throw new Error('Image not found');
+            }
 
-            return true;
+            // Finishing the exercise is recorded in the progress only; the launch
+            // stays running so the trainee keeps access until it is stopped
+            return await ProgressService.recordGoal(
+                containerInfo.user_id,
+                image,
+                data.goal_id,
+                data.data,
+                containerInfo.container_id
+            );
         } catch (error) {
             logger.error('Error handling exercise completion:', error);
             throw error;
@@ -328,10 +1229,15 @@ class DockerService {
                 );
             });
 
-            // Stop and remove any containers in Docker but not in DB (orphaned)
+            // Captured traffic is kept for its retention period after the launch ends
+            await TrafficService.prune();
+
+            // Stop and remove any containers in Docker but not in DB (orphaned). Matched by
+            // launch subdomain, since only the entry container of a launch is in the DB.
             for (const dockerContainer of dockerContainers) {
                 const containerId = dockerContainer.Id;
-                const dbContainer = dbContainers.find(c => c.container_id === containerId);
+                const subdomain = dockerContainer.Labels && dockerContainer.Labels['training.subdomain'];
+                const dbContainer = dbContainers.find(c => c.subdomain === subdomain);
                 
                 if (!dbContainer) {
                     logger.warn('Found orphaned container in Docker, removing:', containerId);
@@ -344,10 +1250,29 @@ class DockerService {
                 }
             }
 
-            // Prune Docker resources
-            await docker.pruneContainers();
-            await docker.pruneNetworks();
-            await docker.pruneVolumes();
+            // Remove launch networks left behind by launches that are no longer active
+            const launchNetworks = await docker.listNetworks({
+                filters: { label: ['training.subdomain'] }
+            });
+            for (const network of launchNetworks) {
+                const subdomain = network.Labels['training.subdomain'];
+                const active = dbContainers.some(c => c.subdomain === subdomain && ACTIVE_STATUSES.includes(c.status));
+                if (!active) {
+                    try {
+                        await docker.getNetwork(network.Id).remove();
+                    } catch (error) {
+                        logger.error('Error removing orphaned launch network:', error);
+                    }
+                }
+            }
+
+            // Prune Docker resources; launch resources are only removed above, so a
+            // network being set up for a new launch, or the stopped containers of a
+            // suspended one, are never pruned
+            const notLaunch = { filters: { 'label!': ['training.subdomain'] } };
+            await docker.pruneContainers(notLaunch);
+            await docker.pruneNetworks(notLaunch);
+            await docker.pruneVolumes(notLaunch);
 
             logger.info('Container cleanup process completed');
         } catch (error) {
@@ -363,16 +1288,19 @@ async function setupDockerEvents() {
     }
 
     try {
-        // Create training network if it doesn't exist
+        await docker.ping();
+
+        // Launches used to share training_network; remove it once nothing uses it
         const networks = await docker.listNetworks({
             filters: { name: ['training_network'] }
         });
-
-        if (networks.length === 0) {
-            await docker.createNetwork({
-                Name: 'training_network',
-                Driver: 'bridge'
-            });
+        for (const network of networks.filter(network => network.Name === 'training_network')) {
+            try {
+                await docker.getNetwork(network.Id).remove();
+                logger.info('Removed legacy shared training network');
+            } catch (error) {
+                logger.warn('Legacy training network still in use:', error.message);
+            }
         }
 
         logger.info('Docker events setup completed');
@@ -430,8 +1358,50 @@ async function setupPeriodicCleanup() {
     logger.info(`Periodic cleanup scheduled to run every ${CLEANUP_INTERVAL / (60 * 60 * 1000)} hours`);
 }
 
+/**
+ * Reconcile with Docker, then enforce idle and lifetime limits every minute
+ */
+async function setupContainerReaper() {
+    if (!DockerService.isAvailable()) {
+        logger.warn('Docker service is not available, skipping container reaper setup');
+        return;
+    }
+
+    await DockerService.reconcileContainers();
+
+    let reapInProgress = false;
+    const runReaper = async () => {
+        if (reapInProgress) {
+            return;
+        }
+
+        reapInProgress = true;
+        try {
+            await DockerService.reapContainers();
+        } catch (error) {
+            logger.error('Error reaping containers:', error);
+        } finally {
+            reapInProgress = false;
+        }
+    };
+
+    await runReaper();
+    const intervalId = setInterval(runReaper, REAPER_INTERVAL);
+
+    const stopReaper = () => {
+        clearInterval(intervalId);
+        logger.info('Container reaper stopped');
+    };
+
+    process.on('SIGTERM', stopReaper);
+    process.on('SIGINT', stopReaper);
+
+    logger.info(`Container reaper scheduled to run every ${REAPER_INTERVAL / 1000} seconds`);
+}
+
 module.exports = {
     DockerService,
     setupDockerEvents,
-    setupPeriodicCleanup
+    setupPeriodicCleanup,
+    setupContainerReaper
 }; 
\ No newline at end of file
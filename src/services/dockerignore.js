@@ -0,0 +1,98 @@
+const path = require('path');
+
+/**
+ * Files the Docker CLI always sends, whatever .dockerignore says
+ */
+const ALWAYS_INCLUDED = ['Dockerfile', '.dockerignore'];
+
+/**
+ * Translate a .dockerignore pattern into a regular expression, following
+ * Docker's rules: `*` and `?` stay within one path segment, `**` spans any
+ * number of directories
+ * @param {string} pattern - Cleaned pattern without a leading "!"
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                i++;
+                if (pattern[i + 1] === '/') {
+                    i++;
+                }
+                source += i === pattern.length - 1 ? '.*' : '(?:.*/)?';
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            i++;
+            source += pattern[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse .dockerignore contents into a matcher
+ * @param {string} content - .dockerignore contents
+ * @returns {{ignores: function(string): boolean, hasExceptions: boolean}}
+ */
+function createIgnoreMatcher(content) {
+    const rules = content
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const exclude = line.startsWith('!');
+            const pattern = path.posix.normalize((exclude ? line.slice(1) : line).trim()).replace(/^\/+/, '');
+            return { exclude, regexp: patternToRegExp(pattern) };
+        })
+        .filter(rule => rule.regexp.source !== '^\\.$');
+
+    /**
+     * A path is ignored when it, or one of its parent directories, matches;
+     * the last matching rule wins
+     * @param {string} relativePath - POSIX path relative to the build context
+     * @returns {boolean}
+     */
+    const ignores = (relativePath) => {
+        if (ALWAYS_INCLUDED.includes(relativePath)) {
+            return false;
+        }
+
+        const segments = relativePath.split('/');
+        const candidates = segments.map((segment, index) => segments.slice(0, index + 1).join('/'));
+
+        let ignored = false;
+        rules.forEach(rule => {
+            if (candidates.some(candidate => rule.regexp.test(candidate))) {
+                ignored = !rule.exclude;
+            }
+        });
+        return ignored;
+    };
+
+    return {
+        ignores,
+        hasExceptions: rules.some(rule => rule.exclude)
+    };
+}
+
+module.exports = { createIgnoreMatcher };
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// Placeholder secret from the example configuration; anyone can sign with it
+const DEFAULT_SECRET = 'your-secret-key';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TEMPLATE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Variables set by the platform itself; exercises may not override them
+ */
+const RESERVED_NAMES = ['CALLBACK_URL'];
+const RESERVED_PREFIX = 'TRAINING_';
+
+/**
+ * Key for per-trainee secrets, from PLATFORM_SECRET or SESSION_SECRET. Read on
+ * every call so it picks up .env files loaded after this module.
+ * @returns {string}
+ * @throws {Error} If only the public default key is configured
+ */
+function getPlatformSecret() {
+    const secret = process.env.PLATFORM_SECRET || process.env.SESSION_SECRET;
+    if (!secret || secret === DEFAULT_SECRET) {
+        throw new Error('{{user_secret}} needs PLATFORM_SECRET or SESSION_SECRET to be set to a private value');
+    }
+    return secret;
+}
+
+/**
+ * Template values available in metadata environment_variables, e.g. "{{username}}"
+ */
+const TEMPLATES = {
+    // Stable for a trainee across launches of the same exercise
+    user_secret: (context, name) => crypto
+        .createHmac('sha256', getPlatformSecret())
+        .update(`${context.userId}:${context.imageId}:${name}`)
+        .digest('hex')
+        .slice(0, 32),
+    // Fresh on every launch
+    random: () => crypto.randomBytes(16).toString('hex'),
+    username: (context) => context.username,
+    subdomain: (context) => context.subdomain,
+    exercise_url: (context) => context.exerciseUrl
+};
+
+/**
+ * Check whether a variable name belongs to the platform
+ * @param {string} name - Variable name
+ * @param {Array<string>} [extraReserved] - Additional reserved names (e.g. flag variables)
+ * @returns {boolean}
+ */
+function isReserved(name, extraReserved = []) {
+    return name.startsWith(RESERVED_PREFIX) || RESERVED_NAMES.includes(name) || extraReserved.includes(name);
+}
+
+/**
+ * Validate an environment_variables block from exercise metadata
+ * @param {Object} [variables] - Map of variable name to value
+ * @param {Array<string>} [extraReserved] - Additional reserved names
+ * @throws {Error} Describing the first invalid variable
+ */
+function validateEnvironment(variables, extraReserved = []) {
+    if (variables === undefined || variables === null) {
+        return;
+    }
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        throw new Error('environment_variables must be an object');
+    }
+
+    Object.entries(variables).forEach(([name, value]) => {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`${name} is not a valid variable name`);
+        }
+        if (isReserved(name, extraReserved)) {
+            throw new Error(`${name} is reserved by the platform`);
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new Error(`${name} must be a string, number or boolean`);
+        }
+        for (const [, template] of String(value).matchAll(TEMPLATE_PATTERN)) {
+            if (!TEMPLATES[template]) {
+                throw new Error(`${name} uses unknown template {{${template}}}`);
+            }
+        }
+    });
+}
+
+/**
+ * Render metadata environment_variables into Docker Env entries
+ * @param {Object} [variables] - Map of variable name to value
+ * @param {Object} context - { userId, imageId, username, subdomain, exerciseUrl }
+ * @param {Array<string>} [extraReserved] - Additional reserved names, skipped if present
+ * @returns {Array<string>} NAME=value entries
+ */
+function renderEnvironment(variables, context, extraReserved = []) {
+    return Object.entries(variables || {})
+        .filter(([name]) => NAME_PATTERN.test(name) && !isReserved(name, extraReserved))
+        .map(([name, value]) => {
+            const rendered = String(value).replace(TEMPLATE_PATTERN, (match, template) => {
+                return TEMPLATES[template] ? TEMPLATES[template](context, name) : match;
+            });
+            return `${name}=${rendered}`;
+        });
+}
+
+module.exports = {
+    isReserved,
+    validateEnvironment,
+    renderEnvironment
+};
@@ -0,0 +1,267 @@
+const { db } = require('../db/init');
+const { logger } = require('../utils/logger');
+
+/**
+ * Image repository name for an exercise title, e.g. "SQL Injection Basic" -> "sql-injection-basic"
+ * @param {string} title - Exercise title
+ * @returns {string}
+ */
+function slugify(title) {
+    return title.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Docker image tag for one version of an exercise
+ * @param {Object} metadata - Exercise metadata
+ * @returns {string}
+ */
+function imageTagFor(metadata) {
+    return `training/${slugify(metadata.title)}:${metadata.version || 'latest'}`;
+}
+
+/**
+ * Containers making up an exercise. Single-image exercises have one entry
+ * service built from the package root; multi-container exercises declare
+ * `services`, each built from its own subdirectory. The entry service falls
+ * back to the top-level port, resources and environment_variables.
+ * @param {string|Object} metadata - Exercise metadata
+ * @returns {Array<{name: string, build: string, entry: boolean, secrets: boolean, port: number, resources: Object, environment_variables: Object}>}
+ */
+function getServices(metadata) {
+    const parsed = typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {});
+    const topLevel = {
+        port: parsed.port,
+        resources: parsed.resources,
+        environment_variables: parsed.environment_variables
+    };
+
+    if (!parsed.services || typeof parsed.services !== 'object') {
+        return [{ name: 'app', build: '.', entry: true, secrets: true, ...topLevel }];
+    }
+
+    const names = Object.keys(parsed.services);
+    return names.map(name => {
+        const service = parsed.services[name] || {};
+        const entry = names.length === 1 || service.entry === true;
+        return {
+            name,
+            build: service.build || name,
+            entry,
+            // The callback secret and flags only go to the entry service and those asking for them
+            secrets: entry || service.secrets === true,
+            port: service.port !== undefined ? service.port : (entry ? topLevel.port : undefined),
+            resources: service.resources || (entry ? topLevel.resources : undefined),
+            environment_variables: service.environment_variables || (entry ? topLevel.environment_variables : undefined)
+        };
+    });
+}
+
+/**
+ * Docker image tag of one service of an exercise version. The entry service
+ * uses the version's own tag, e.g. "training/lab:1.0"; other services are
+ * tagged below it, e.g. "training/lab/db:1.0".
+ * @param {string} imageTag - Version image tag
+ * @param {Object} service - Service from getServices()
+ * @returns {string}
+ */
+function serviceImageTag(imageTag, service) {
+    if (service.entry) {
+        return imageTag;
+    }
+    const separator = imageTag.lastIndexOf(':');
+    return `${imageTag.slice(0, separator)}/${service.name}${imageTag.slice(separator)}`;
+}
+
+class ExerciseService {
+    static async findBySlug(slug) {
+        return new Promise((resolve, reject) => {
+            db.get('SELECT * FROM docker_images WHERE slug = ? ORDER BY id', [slug], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+    }
+
+    static async getVersion(exerciseId, versionId) {
+        return new Promise((resolve, reject) => {
+            db.get(
+                'SELECT * FROM exercise_versions WHERE id = ? AND exercise_id = ?',
+                [versionId, exerciseId],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+    }
+
+    static async listVersions(exerciseId) {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT v.id, v.version, v.image_tag, v.build_job_id, v.created_at,
+                        (v.id = i.active_version_id) as active
+                 FROM exercise_versions v
+                 JOIN docker_images i ON v.exercise_id = i.id
+                 WHERE v.exercise_id = ?
+                 ORDER BY v.created_at DESC, v.id DESC`,
+                [exerciseId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve((rows || []).map(row => ({ ...row, active: Boolean(row.active) })));
+                }
+            );
+        });
+    }
+
+    /**
+     * Check that an uploaded package doesn't duplicate an existing version
+     * @param {Object} metadata - Validated exercise metadata
+     * @throws {Error} If the version already exists
+     */
+    static async assertNewVersion(metadata) {
+        const imageTag = imageTagFor(metadata);
+        const existing = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT
+                    (SELECT COUNT(*) FROM exercise_versions WHERE image_tag = ?) as versions,
+                    (SELECT COUNT(*) FROM build_jobs WHERE image_tag = ? AND status IN ('queued', 'building')) as builds`,
+                [imageTag, imageTag],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+
+        if (existing.versions > 0) {
+            throw new Error(`Version ${metadata.version || 'latest'} of "${metadata.title}" already exists`);
+        }
+        if (existing.builds > 0) {
+            throw new Error(`Version ${metadata.version || 'latest'} of "${metadata.title}" is already being built`);
+        }
+    }
+
+    /**
+     * Register a built image as a version of its exercise, creating the
+     * exercise on its first upload. The first version is always activated.
+     * @param {Object} metadata - Exercise metadata
+     * @param {string} imageTag - Built image tag
+     * @param {Object} [options] - { buildJobId, activate }
+     * @returns {Promise<{exerciseId: number, versionId: number, activated: boolean}>}
+     */
+    static async registerVersion(metadata, imageTag, { buildJobId = null, activate = false } = {}) {
+        const slug = slugify(metadata.title);
+        let exercise = await this.findBySlug(slug);
+
+        if (!exercise) {
+            const exerciseId = await new Promise((resolve, reject) => {
+                db.run(
+                    `INSERT INTO docker_images (name, version, description, level, image_id, metadata, slug)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        metadata.title,
+                        metadata.version || 'latest',
+                        metadata.description,
+                        metadata.level.toLowerCase(),
+                        imageTag,
+                        JSON.stringify(metadata),
+                        slug
+                    ],
+                    function(err) {
+                        if (err) reject(err);
+                        resolve(this.lastID);
+                    }
+                );
+            });
+            exercise = { id: exerciseId, active_version_id: null };
+        }
+
+        const versionId = await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO exercise_versions (exercise_id, version, image_tag, metadata, build_job_id)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [exercise.id, metadata.version || 'latest', imageTag, JSON.stringify(metadata), buildJobId],
+                function(err) {
+                    if (err) reject(err);
+                    resolve(this.lastID);
+                }
+            );
+        });
+
+        const activated = activate || !exercise.active_version_id;
+        if (activated) {
+            await this.activateVersion(exercise.id, versionId);
+        }
+
+        return { exerciseId: exercise.id, versionId, activated };
+    }
+
+    /**
+     * Make a version the one trainees launch. Used for both upgrades and
+     * rollbacks; progress stays attached to the exercise.
+     * @param {number} exerciseId - Exercise (docker_images) ID
+     * @param {number} versionId - Version to activate
+     */
+    static async activateVersion(exerciseId, versionId) {
+        const version = await this.getVersion(exerciseId, versionId);
+        if (!version) {
+            throw new Error('Version not found');
+        }
+
+        const metadata = JSON.parse(version.metadata);
+        await new Promise((resolve, reject) => {
+            db.run(
+                `UPDATE docker_images
+                 SET active_version_id = ?, version = ?, image_id = ?, metadata = ?,
+                     name = ?, description = ?, level = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [
+                    version.id,
+                    version.version,
+                    version.image_tag,
+                    version.metadata,
+                    metadata.title,
+                    metadata.description,
+                    metadata.level.toLowerCase(),
+                    exerciseId
+                ],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        logger.info('Activated exercise version:', { exerciseId, versionId, imageTag: version.image_tag });
+        return version;
+    }
+
+    /**
+     * Every Docker image tag belonging to a version
+     * @param {Object} version - Version row with image_tag and metadata
+     * @returns {Array<string>}
+     */
+    static versionImageTags(version) {
+        return getServices(version.metadata).map(service => serviceImageTag(version.image_tag, service));
+    }
+
+    static async deleteVersion(exerciseId, versionId) {
+        await new Promise((resolve, reject) => {
+            db.run(
+                'DELETE FROM exercise_versions WHERE id = ? AND exercise_id = ?',
+                [versionId, exerciseId],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+    }
+}
+
+module.exports = {
+    ExerciseService,
+    imageTagFor,
+    getServices,
+    serviceImageTag
+};
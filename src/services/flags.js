@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { db } = require('../db/init');
+const { getGoals } = require('./progress');
+
+const DEFAULT_FLAG_FORMAT = 'FLAG{%s}';
+
+/**
+ * Environment variable a goal's flag is injected as, e.g. FLAG_AUTH_BYPASS
+ * @param {string} goalId - Goal ID
+ * @returns {string}
+ */
+function defaultFlagEnv(goalId) {
+    return `FLAG_${String(goalId).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Normalize the flag settings of a goal. Goals opt in with `"flag": true` or
+ * `"flag": { "format": "FLAG{%s}", "env": "FLAG_GOAL_1" }`.
+ * @param {Object} goal - Goal definition from metadata
+ * @returns {Object|null} Flag settings, or null if the goal does not use flags
+ */
+function getFlagConfig(goal) {
+    if (!goal.flag) {
+        return null;
+    }
+    const config = typeof goal.flag === 'object' ? goal.flag : {};
+    return {
+        format: config.format || DEFAULT_FLAG_FORMAT,
+        env: config.env || defaultFlagEnv(goal.id)
+    };
+}
+
+class FlagService {
+    /**
+     * Generate a fresh flag for every flag-based goal of an exercise
+     * @param {string|Object} metadata - Exercise metadata
+     * @returns {Array<{goal_id: string, env: string, flag: string}>}
+     */
+    static generateFlags(metadata) {
+        return getGoals(metadata)
+            .map(goal => ({ goal, config: getFlagConfig(goal) }))
+            .filter(({ config }) => config)
+            .map(({ goal, config }) => ({
+                goal_id: goal.id,
+                env: config.env,
+                flag: config.format.replace('%s', crypto.randomBytes(16).toString('hex'))
+            }));
+    }
+
+    /**
+     * Remember the flags issued to a user for one container launch
+     * @param {number} userId - User ID
+     * @param {number} imageId - Exercise (image) ID
+     * @param {string} containerId - Docker container ID
+     * @param {Array<Object>} flags - Flags from generateFlags()
+     */
+    static async storeFlags(userId, imageId, containerId, flags) {
+        for (const { goal_id: goalId, flag } of flags) {
+            await new Promise((resolve, reject) => {
+                db.run(
+                    `INSERT INTO exercise_flags (user_id, image_id, container_id, goal_id, flag)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [userId, imageId, containerId, goalId, flag],
+                    (err) => {
+                        if (err) reject(err);
+                        resolve();
+                    }
+                );
+            });
+        }
+    }
+
+    /**
+     * Check a submitted flag against the flags issued to this user only, so
+     * flags shared between trainees are never accepted
+     * @param {number} userId - User ID
+     * @param {number} imageId - Exercise (image) ID
+     * @param {string} goalId - Goal ID
+     * @param {string} submitted - Flag submitted by the trainee
+     * @returns {Promise<boolean>} Whether the flag matches one issued to the user
+     */
+    static async verifyFlag(userId, imageId, goalId, submitted) {
+        const issued = await new Promise((resolve, reject) => {
+            db.all(
+                'SELECT flag FROM exercise_flags WHERE user_id = ? AND image_id = ? AND goal_id = ?',
+                [userId, imageId, goalId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+
+        const candidate = Buffer.from(String(submitted).trim());
+        return issued.some(({ flag }) => {
+            const expected = Buffer.from(flag);
+            return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+        });
+    }
+}
+
+module.exports = { FlagService, getFlagConfig };
@@ -0,0 +1,54 @@
+const CONTAINER_IDLE_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+const CONTAINER_MAX_LIFETIME = 2 * 60 * 60 * 1000; // 2 hours
+
+const EXTENSION_LIMITS = {
+    extension_minutes: { min: 1, max: 240 },
+    max_extensions: { min: 0, max: 10 }
+};
+
+/**
+ * Validate an extension policy from platform settings or an exercise
+ * @param {Object} [policy] - { extension_minutes, max_extensions }
+ * @returns {Object} The policy with only the fields that were given
+ */
+function normalizeExtensionPolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return {};
+    }
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('extension policy must be an object');
+    }
+
+    const normalized = {};
+    Object.keys(policy).forEach(field => {
+        const limits = EXTENSION_LIMITS[field];
+        if (!limits) {
+            throw new Error(`unknown extension policy field: ${field}`);
+        }
+        const value = policy[field];
+        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+            throw new Error(`${field} must be an integer between ${limits.min} and ${limits.max}`);
+        }
+        normalized[field] = value;
+    });
+
+    return normalized;
+}
+
+/**
+ * Combine an exercise's extension policy with the platform default
+ * @param {string|Object|null} exercisePolicy - extension_policy of the exercise
+ * @param {Object} defaults - container_extensions from platform settings
+ * @returns {{extension_minutes: number, max_extensions: number}}
+ */
+function resolveExtensionPolicy(exercisePolicy, defaults) {
+    const parsed = typeof exercisePolicy === 'string' ? JSON.parse(exercisePolicy) : exercisePolicy;
+    return { ...defaults, ...normalizeExtensionPolicy(parsed) };
+}
+
+module.exports = {
+    CONTAINER_IDLE_TIMEOUT,
+    CONTAINER_MAX_LIFETIME,
+    normalizeExtensionPolicy,
+    resolveExtensionPolicy
+};
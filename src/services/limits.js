@@ -0,0 +1,168 @@
+const { parseMemory } = require('./resources');
+
+// Fields an exercise can set in its `limits` block; they apply per launch
+const LAUNCH_LIMIT_FIELDS = ['requests_per_minute', 'max_concurrent', 'max_body_size'];
+
+const COUNT_LIMITS = {
+    requests_per_minute: { min: 1, max: 100000 },
+    max_concurrent: { min: 1, max: 10000 },
+    user_requests_per_minute: { min: 1, max: 100000 },
+    user_max_concurrent: { min: 1, max: 10000 }
+};
+
+// Buckets unused for this long are full again and can be forgotten
+const BUCKET_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Request tokens per launch ("launch:<subdomain>") and per user ("user:<id>")
+ */
+const buckets = new Map();
+
+/**
+ * Requests being proxied per launch and per user
+ */
+const inFlight = new Map();
+
+/**
+ * Validate proxy limits from platform settings or an exercise
+ * @param {Object} [limits] - { requests_per_minute, max_concurrent, max_body_size, ... }
+ * @param {Array<string>} [fields] - Fields allowed in this block
+ * @returns {Object} The limits that were given, with max_body_size in bytes
+ */
+function normalizeProxyLimits(limits, fields = LAUNCH_LIMIT_FIELDS) {
+    if (limits === undefined || limits === null) {
+        return {};
+    }
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new Error('limits must be an object');
+    }
+
+    const normalized = {};
+    Object.entries(limits).forEach(([field, value]) => {
+        if (!fields.includes(field)) {
+            throw new Error(`unknown limit: ${field}`);
+        }
+        if (field === 'max_body_size') {
+            try {
+                normalized[field] = parseMemory(value);
+            } catch (error) {
+                throw new Error(`max_body_size must be a size such as "10M", got ${JSON.stringify(value)}`);
+            }
+            return;
+        }
+        const range = COUNT_LIMITS[field];
+        if (!Number.isInteger(value) || value < range.min || value > range.max) {
+            throw new Error(`${field} must be an integer between ${range.min} and ${range.max}`);
+        }
+        normalized[field] = value;
+    });
+
+    return normalized;
+}
+
+/**
+ * Combine an exercise's declared limits with the platform defaults
+ * @param {string|Object|null} metadata - Exercise metadata
+ * @param {Object} settings - proxy_limits from platform settings
+ * @returns {Object} Effective limits, with max_body_size in bytes
+ */
+function resolveProxyLimits(metadata, settings) {
+    const parsed = typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {});
+    const declared = {};
+    // Unknown fields were reported when the exercise was uploaded
+    LAUNCH_LIMIT_FIELDS.forEach(field => {
+        if (parsed.limits && parsed.limits[field] !== undefined) {
+            declared[field] = parsed.limits[field];
+        }
+    });
+    return {
+        ...normalizeProxyLimits(settings, Object.keys(settings)),
+        ...normalizeProxyLimits(declared)
+    };
+}
+
+/**
+ * Seconds until a bucket holds a whole token, refilling it first
+ * @param {string} key - Bucket key
+ * @param {number} perMinute - Bucket size and refill rate
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} 0 if a token is available
+ */
+function refill(key, perMinute, now) {
+    const bucket = buckets.get(key) || { tokens: perMinute, updated: now };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updated) * perMinute / 60000);
+    bucket.updated = now;
+    buckets.set(key, bucket);
+    return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * 60 / perMinute);
+}
+
+/**
+ * Admit a proxied request under the limits of its launch and of the user
+ * making it. Admitted requests hold a concurrency slot until released.
+ * @param {Object} request
+ * @param {string} request.subdomain - Launch subdomain
+ * @param {number} request.userId - User making the request
+ * @param {Object} request.limits - Effective limits from resolveProxyLimits()
+ * @param {boolean} [request.concurrent=true] - Whether the request holds a concurrency slot
+ * @returns {{allowed: true, release: Function}|{allowed: false, scope: string, limit: string, retryAfter: number}}
+ */
+function admitRequest({ subdomain, userId, limits, concurrent = true }) {
+    const now = Date.now();
+    const scopes = [
+        { scope: 'launch', key: `launch:${subdomain}`, rate: limits.requests_per_minute, concurrency: limits.max_concurrent },
+        { scope: 'user', key: `user:${userId}`, rate: limits.user_requests_per_minute, concurrency: limits.user_max_concurrent }
+    ];
+
+    for (const { scope, key, rate, concurrency } of scopes) {
+        if (concurrent && (inFlight.get(key) || 0) >= concurrency) {
+            return { allowed: false, scope, limit: 'max_concurrent', retryAfter: 1 };
+        }
+        const retryAfter = refill(key, rate, now);
+        if (retryAfter > 0) {
+            return { allowed: false, scope, limit: 'requests_per_minute', retryAfter };
+        }
+    }
+
+    scopes.forEach(({ key }) => {
+        buckets.get(key).tokens -= 1;
+        if (concurrent) {
+            inFlight.set(key, (inFlight.get(key) || 0) + 1);
+        }
+    });
+
+    let released = !concurrent;
+    return {
+        allowed: true,
+        release: () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            scopes.forEach(({ key }) => {
+                const count = (inFlight.get(key) || 1) - 1;
+                if (count > 0) {
+                    inFlight.set(key, count);
+                } else {
+                    inFlight.delete(key);
+                }
+            });
+        }
+    };
+}
+
+// Forget idle buckets so the maps don't grow with every launch ever served
+setInterval(() => {
+    const cutoff = Date.now() - BUCKET_IDLE_TIMEOUT;
+    buckets.forEach((bucket, key) => {
+        if (bucket.updated < cutoff) {
+            buckets.delete(key);
+        }
+    });
+}, BUCKET_IDLE_TIMEOUT).unref();
+
+module.exports = {
+    LAUNCH_LIMIT_FIELDS,
+    normalizeProxyLimits,
+    resolveProxyLimits,
+    admitRequest
+};
@@ -0,0 +1,172 @@
+const { db } = require('../db/init');
+const { logger } = require('../utils/logger');
+const { SystemLogger } = require('./logger');
+
+/**
+ * Parse the goals declared in an exercise's metadata
+ * @param {string|Object} metadata - Raw metadata JSON or parsed metadata object
+ * @returns {Array<Object>} Declared goals (empty if none)
+ */
+function getGoals(metadata) {
+    let parsed = metadata;
+    if (typeof metadata === 'string') {
+        try {
+            parsed = JSON.parse(metadata);
+        } catch (error) {
+            logger.warn('Unable to parse exercise metadata:', error.message);
+            return [];
+        }
+    }
+    return parsed && Array.isArray(parsed.goals) ? parsed.goals : [];
+}
+
+/**
+ * Goals count towards completion unless they are explicitly marked optional
+ * @param {Object} goal - Goal definition from metadata
+ * @returns {boolean}
+ */
+function isRequired(goal) {
+    return goal.required !== false;
+}
+
+/**
+ * A goal report that can't be accepted, e.g. for a goal the exercise doesn't
+ * declare. The message is safe to show to the reporter.
+ */
+class CompletionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CompletionError';
+    }
+}
+
+class ProgressService {
+    /**
+     * Get the completed goals for a user, optionally limited to one exercise
+     * @param {number} userId - User ID
+     * @param {number} [imageId] - Exercise (image) ID
+     * @returns {Promise<Array<Object>>} Goal progress rows
+     */
+    static async getCompletedGoals(userId, imageId) {
+        const params = [userId];
+        let query = 'SELECT * FROM goal_progress WHERE user_id = ?';
+        if (imageId !== undefined) {
+            query += ' AND image_id = ?';
+            params.push(imageId);
+        }
+
+        return new Promise((resolve, reject) => {
+            db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Summarize a user's progress against the goals of an exercise
+     * @param {string|Object} metadata - Exercise metadata
+     * @param {Array<Object>} completedGoals - Goal progress rows for the exercise
+     * @returns {Object} Goal list with completion state and counts
+     */
+    static summarize(metadata, completedGoals) {
+        const completedById = new Map(completedGoals.map(row => [row.goal_id, row]));
+        const goals = getGoals(metadata).map(goal => ({
+            id: goal.id,
+            description: goal.description,
+            hint: goal.hint,
+            required: isRequired(goal),
+            accepts_flag: Boolean(goal.flag),
+            completed: completedById.has(goal.id),
+            completed_at: completedById.has(goal.id) ? completedById.get(goal.id).completed_at : null
+        }));
+
+        const required = goals.filter(goal => goal.required);
+
+        return {
+            goals,
+            goals_total: required.length,
+            goals_completed: required.filter(goal => goal.completed).length,
+            // Exercises without declared goals complete on their first reported goal
+            complete: required.length > 0
+                ? required.every(goal => goal.completed)
+                : completedGoals.length > 0
+        };
+    }
+
+    /**
+     * Record a goal as met and mark the exercise complete once all required goals are met
+     * @param {number} userId - User ID
+     * @param {Object} image - docker_images row for the exercise
+     * @param {string} goalId - Goal ID from the exercise metadata
+     * @param {*} payload - Data reported alongside the goal
+     * @param {string} [targetId] - Container the goal was reported for, used in system logs
+     * @returns {Promise<Object>} Updated progress summary
+     */
+    static async recordGoal(userId, image, goalId, payload, targetId = null) {
+        const declaredGoals = getGoals(image.metadata);
+        const goal = declaredGoals.find(declared => declared.id === goalId);
+        if (declaredGoals.length > 0 && !goal) {
+            throw new CompletionError(`Unknown goal: ${goalId}`);
+        }
+
+        // Keep the first completion of each goal; repeated reports are ignored
+        const newlyCompleted = await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT OR IGNORE INTO goal_progress (user_id, image_id, goal_id, payload)
+                 VALUES (?, ?, ?, ?)`,
+                [userId, image.id, goalId, JSON.stringify(payload === undefined ? null : payload)],
+                function(err) {
+                    if (err) reject(err);
+                    resolve(this.changes > 0);
+                }
+            );
+        });
+
+        const completedGoals = await this.getCompletedGoals(userId, image.id);
+        const summary = this.summarize(image.metadata, completedGoals);
+
+        if (newlyCompleted) {
+            await SystemLogger.logEvent('goal_completed', userId, targetId, {
+                image_id: image.id,
+                goal_id: goalId,
+                completion_data: payload
+            });
+        }
+
+        // The exercise is finished by the goal that completes its last required goal
+        const finishedExercise = summary.complete && newlyCompleted && (!goal || isRequired(goal));
+
+        if (summary.complete) {
+            await new Promise((resolve, reject) => {
+                db.run(
+                    `UPDATE exercise_progress
+                     SET status = 'completed', completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)
+                     WHERE user_id = ? AND image_id = ?`,
+                    [userId, image.id],
+                    (err) => {
+                        if (err) reject(err);
+                        resolve();
+                    }
+                );
+            });
+
+            if (finishedExercise) {
+                await SystemLogger.logEvent('exercise_completed', userId, targetId, {
+                    image_id: image.id,
+                    goals_completed: summary.goals_completed,
+                    goals_total: summary.goals_total
+                });
+            }
+        }
+
+        return {
+            ...summary,
+            goal_id: goalId,
+            newly_completed: newlyCompleted,
+            finished_exercise: finishedExercise
+        };
+    }
+}
+
+module.exports = { ProgressService, CompletionError, getGoals };
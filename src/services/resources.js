@@ -0,0 +1,120 @@
+const { logger } = require('../utils/logger');
+
+const MEMORY_UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+const MIN_MEMORY = 6 * 1024 * 1024; // Docker refuses limits below 6MB
+
+/**
+ * Parse a Docker style memory size ("512M", "1g", 268435456) into bytes
+ * @param {string|number} value - Memory size
+ * @returns {number} Size in bytes
+ */
+function parseMemory(value) {
+    if (typeof value === 'number' && Number.isInteger(value) && value > 0) {
+        return value;
+    }
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+    if (!match) {
+        throw new Error(`memory must be a size such as "512M" or "1G", got ${JSON.stringify(value)}`);
+    }
+    return Math.floor(parseFloat(match[1]) * MEMORY_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Validate and normalize a resources block from exercise metadata or platform settings
+ * @param {Object} [resources] - { memory, cpu_shares, cpus, pids_limit }
+ * @returns {Object} Normalized resources (memory in bytes); unspecified fields are omitted
+ */
+function normalizeResources(resources) {
+    if (resources === undefined || resources === null) {
+        return {};
+    }
+    if (typeof resources !== 'object' || Array.isArray(resources)) {
+        throw new Error('resources must be an object');
+    }
+
+    const normalized = {};
+
+    if (resources.memory !== undefined) {
+        normalized.memory = parseMemory(resources.memory);
+        if (normalized.memory < MIN_MEMORY) {
+            throw new Error('memory must be at least 6M');
+        }
+    }
+    if (resources.cpu_shares !== undefined) {
+        if (!Number.isInteger(resources.cpu_shares) || resources.cpu_shares < 2 || resources.cpu_shares > 262144) {
+            throw new Error('cpu_shares must be an integer between 2 and 262144');
+        }
+        normalized.cpu_shares = resources.cpu_shares;
+    }
+    if (resources.cpus !== undefined) {
+        if (typeof resources.cpus !== 'number' || !(resources.cpus > 0)) {
+            throw new Error('cpus must be a positive number');
+        }
+        normalized.cpus = resources.cpus;
+    }
+    if (resources.pids_limit !== undefined) {
+        if (!Number.isInteger(resources.pids_limit) || resources.pids_limit < 1) {
+            throw new Error('pids_limit must be a positive integer');
+        }
+        normalized.pids_limit = resources.pids_limit;
+    }
+
+    return normalized;
+}
+
+/**
+ * Combine an exercise's declared resources with the platform defaults and ceilings
+ * @param {Object} [declared] - resources block from exercise metadata
+ * @param {Object} policy - { defaults, ceilings } from platform settings
+ * @returns {Object} Effective resources
+ */
+function resolveResources(declared, policy) {
+    const defaults = normalizeResources(policy.defaults);
+    const ceilings = normalizeResources(policy.ceilings);
+    const resolved = { ...defaults, ...normalizeResources(declared) };
+
+    Object.keys(ceilings).forEach(key => {
+        if (resolved[key] === undefined || resolved[key] > ceilings[key]) {
+            if (resolved[key] !== undefined) {
+                logger.warn('Exercise resource limit exceeds platform ceiling, clamping:', {
+                    resource: key,
+                    requested: resolved[key],
+                    ceiling: ceilings[key]
+                });
+            }
+            resolved[key] = ceilings[key];
+        }
+    });
+
+    return resolved;
+}
+
+/**
+ * Convert effective resources into Docker HostConfig limits
+ * @param {Object} resources - Effective resources from resolveResources()
+ * @returns {Object} HostConfig fields
+ */
+function toHostConfig(resources) {
+    const hostConfig = {};
+    if (resources.memory !== undefined) {
+        hostConfig.Memory = resources.memory;
+        hostConfig.MemorySwap = resources.memory; // No swap beyond the memory limit
+    }
+    if (resources.cpu_shares !== undefined) {
+        hostConfig.CpuShares = resources.cpu_shares;
+    }
+    if (resources.cpus !== undefined) {
+        hostConfig.NanoCpus = Math.round(resources.cpus * 1e9);
+    }
+    if (resources.pids_limit !== undefined) {
+        hostConfig.PidsLimit = resources.pids_limit;
+    }
+    return hostConfig;
+}
+
+module.exports = {
+    parseMemory,
+    normalizeResources,
+    resolveResources,
+    toHostConfig
+};
@@ -0,0 +1,191 @@
+const { db } = require('../db/init');
+const { logger } = require('../utils/logger');
+const { normalizeResources } = require('./resources');
+const { normalizeExtensionPolicy } = require('./lifetime');
+const { normalizeProxyLimits } = require('./limits');
+
+/**
+ * Platform settings and their defaults. Stored values replace the top-level
+ * fields of the default.
+ */
+const DEFAULT_SETTINGS = {
+    // Applied to exercise containers that don't declare their own resources
+    container_resources: {
+        defaults: { memory: '512M', cpu_shares: 512, cpus: 1, pids_limit: 256 },
+        ceilings: { memory: '2G', cpu_shares: 2048, cpus: 2, pids_limit: 1024 }
+    },
+    // Outbound access from launch networks: `egress` is the default for exercises
+    // that don't declare network.egress; `allow_egress: false` turns it off for all
+    container_network: {
+        egress: false,
+        allow_egress: true
+    },
+    // How much extra time trainees may request for a launch; exercises can
+    // override either field in their extension policy
+    container_extensions: {
+        extension_minutes: 30,
+        max_extensions: 2
+    },
+    // What happens to idle launches: "pause" freezes them, "stop" stops them
+    // without removing them, "off" removes them. Suspended launches count
+    // against their own per-user quota and are removed after the retention period.
+    container_suspend: {
+        mode: 'pause',
+        max_suspended: 5,
+        retention_hours: 24
+    },
+    // Recording of proxied exercise traffic for review. Bodies are cut off at
+    // max_body_bytes, launches keep their newest max_entries exchanges, and
+    // values of redact_headers are never stored.
+    traffic_capture: {
+        enabled: false,
+        max_body_bytes: 64 * 1024,
+        max_entries: 2000,
+        retention_days: 7,
+        redact_headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']
+    },
+    // Throttling of proxied exercise traffic. The first three apply per launch
+    // and can be overridden in an exercise's `limits`; the user_ limits cap
+    // each trainee across all the launches they use.
+    proxy_limits: {
+        requests_per_minute: 600,
+        max_concurrent: 20,
+        max_body_size: '10M',
+        user_requests_per_minute: 1200,
+        user_max_concurrent: 40
+    }
+};
+
+/**
+ * Validators for each setting; they throw with a descriptive message
+ */
+const VALIDATORS = {
+    container_resources: (value) => {
+        ['defaults', 'ceilings'].forEach(section => {
+            try {
+                normalizeResources(value[section]);
+            } catch (error) {
+                throw new Error(`${section}: ${error.message}`);
+            }
+        });
+    },
+    container_network: (value) => {
+        ['egress', 'allow_egress'].forEach(field => {
+            if (typeof value[field] !== 'boolean') {
+                throw new Error(`${field} must be true or false`);
+            }
+        });
+    },
+    container_extensions: (value) => {
+        normalizeExtensionPolicy(value);
+    },
+    container_suspend: (value) => {
+        if (!['pause', 'stop', 'off'].includes(value.mode)) {
+            throw new Error('mode must be "pause", "stop" or "off"');
+        }
+        if (!Number.isInteger(value.max_suspended) || value.max_suspended < 0) {
+            throw new Error('max_suspended must be a non-negative integer');
+        }
+        if (typeof value.retention_hours !== 'number' || !(value.retention_hours > 0)) {
+            throw new Error('retention_hours must be a positive number');
+        }
+    },
+    traffic_capture: (value) => {
+        if (typeof value.enabled !== 'boolean') {
+            throw new Error('enabled must be true or false');
+        }
+        if (!Number.isInteger(value.max_body_bytes) || value.max_body_bytes < 0 || value.max_body_bytes > 1024 * 1024) {
+            throw new Error('max_body_bytes must be an integer between 0 and 1048576');
+        }
+        if (!Number.isInteger(value.max_entries) || value.max_entries < 1) {
+            throw new Error('max_entries must be a positive integer');
+        }
+        if (typeof value.retention_days !== 'number' || !(value.retention_days > 0)) {
+            throw new Error('retention_days must be a positive number');
+        }
+        if (!Array.isArray(value.redact_headers) || value.redact_headers.some(name => typeof name !== 'string')) {
+            throw new Error('redact_headers must be a list of header names');
+        }
+    },
+    proxy_limits: (value) => {
+        normalizeProxyLimits(value, Object.keys(DEFAULT_SETTINGS.proxy_limits));
+    }
+};
+
+class SettingsService {
+    /**
+     * Get a setting, falling back to the platform default
+     * @param {string} key - Setting name
+     * @returns {Promise<Object>} Setting value
+     */
+    static async get(key) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+
+        const row = await new Promise((resolve, reject) => {
+            db.get('SELECT value FROM platform_settings WHERE key = ?', [key], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        if (!row) {
+            return DEFAULT_SETTINGS[key];
+        }
+
+        try {
+            return { ...DEFAULT_SETTINGS[key], ...JSON.parse(row.value) };
+        } catch (error) {
+            logger.error('Invalid stored setting, using default:', { key, error: error.message });
+            return DEFAULT_SETTINGS[key];
+        }
+    }
+
+    /**
+     * Get every setting
+     * @returns {Promise<Object>} Map of setting name to value
+     */
+    static async getAll() {
+        const settings = {};
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            settings[key] = await this.get(key);
+        }
+        return settings;
+    }
+
+    /**
+     * Validate and store a setting
+     * @param {string} key - Setting name
+     * @param {Object} value - New value
+     */
+    static async set(key, value) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('Setting value must be an object');
+        }
+
+        const merged = { ...DEFAULT_SETTINGS[key], ...value };
+        if (VALIDATORS[key]) {
+            VALIDATORS[key](merged);
+        }
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO platform_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+                [key, JSON.stringify(value)],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        return merged;
+    }
+}
+
+module.exports = { SettingsService };
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { db } = require('../db/init');
+
+const SHARE_DEFAULT_MINUTES = 60;
+const SHARE_MAX_MINUTES = 8 * 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class ShareService {
+    /**
+     * Mint a short-lived link giving other signed-in users access to a launch
+     * @param {string} subdomain - Launch subdomain
+     * @param {number} userId - Admin creating the share
+     * @param {number} [minutes] - How long the link and the access it grants last
+     * @returns {Promise<{token: string, expires_at: string}>} Only the token's hash is stored
+     */
+    static async create(subdomain, userId, minutes = SHARE_DEFAULT_MINUTES) {
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > SHARE_MAX_MINUTES) {
+            throw new Error(`minutes must be an integer between 1 and ${SHARE_MAX_MINUTES}`);
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `DELETE FROM launch_shares WHERE datetime(expires_at) <= datetime('now')`,
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        const id = await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO launch_shares (subdomain, token_hash, created_by, expires_at)
+                 VALUES (?, ?, ?, datetime('now', ?))`,
+                [subdomain, hashToken(token), userId, `+${minutes * 60} seconds`],
+                function(err) {
+                    if (err) reject(err);
+                    resolve(this.lastID);
+                }
+            );
+        });
+
+        const share = await new Promise((resolve, reject) => {
+            db.get('SELECT expires_at FROM launch_shares WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+
+        return { token, expires_at: share.expires_at };
+    }
+
+    /**
+     * Look up an unexpired share of an active launch
+     * @param {string} token - Token from the share link
+     * @returns {Promise<Object|null>} Share with subdomain, user_id of the launch owner and expires_at
+     */
+    static async find(token) {
+        const share = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT s.id, s.subdomain, s.created_by, s.expires_at, c.user_id
+                 FROM launch_shares s
+                 JOIN containers c ON c.subdomain = s.subdomain
+                 WHERE s.token_hash = ? AND datetime(s.expires_at) > datetime('now')
+                   AND c.status IN ('starting', 'running', 'suspended')`,
+                [hashToken(String(token))],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+        return share || null;
+    }
+
+    /**
+     * Remember in a session that it may use a shared launch until the share expires
+     * @param {Object} session - Express session
+     * @param {Object} share - Share from find()
+     */
+    static grant(session, share) {
+        const expiresAt = Date.parse(`${share.expires_at.replace(' ', 'T')}Z`);
+        session.sharedLaunches = { ...(session.sharedLaunches || {}), [share.subdomain]: expiresAt };
+    }
+
+    /**
+     * Whether a session may use a launch: its owner, an admin, or someone
+     * holding an unexpired share of it
+     * @param {Object} [session] - Express session
+     * @param {Object} container - Container row
+     * @returns {boolean}
+     */
+    static canAccess(session, container) {
+        if (!session || !session.userId) {
+            return false;
+        }
+        if (container.user_id === session.userId || session.userRole === 'admin') {
+            return true;
+        }
+        const sharedUntil = session.sharedLaunches && session.sharedLaunches[container.subdomain];
+        return Boolean(sharedUntil && sharedUntil > Date.now());
+    }
+}
+
+module.exports = {
+    ShareService,
+    SHARE_DEFAULT_MINUTES,
+    SHARE_MAX_MINUTES
+};
@@ -0,0 +1,399 @@
+const zlib = require('zlib');
+const { db } = require('../db/init');
+const { logger } = require('../utils/logger');
+const { SettingsService } = require('./settings');
+
+const REDACTED = '[redacted]';
+
+// Timeline entries returned per page
+const TIMELINE_PAGE_SIZE = 200;
+
+// Decompressed bodies shown in the timeline and HAR export are cut off here
+const MAX_DECODED_BYTES = 1024 * 1024;
+
+const TEXT_CONTENT_TYPE = /^(text\/|application\/([\w.+-]*\+)?(json|xml|javascript|x-www-form-urlencoded|graphql)\b)/i;
+
+/**
+ * Collects up to `limit` bytes of a stream while counting all of them
+ */
+class BodyTap {
+    constructor(limit) {
+        this.limit = limit;
+        this.size = 0;
+        this.chunks = [];
+        this.kept = 0;
+    }
+
+    push(chunk) {
+        this.size += chunk.length;
+        if (this.kept < this.limit) {
+            const part = chunk.subarray(0, this.limit - this.kept);
+            this.chunks.push(part);
+            this.kept += part.length;
+        }
+    }
+
+    get body() {
+        return this.kept > 0 ? Buffer.concat(this.chunks) : null;
+    }
+}
+
+class TrafficService {
+    /**
+     * Start recording one proxied request and its response. Call right after
+     * the request is handed to the proxy; the response is tapped by onResponse().
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Response to the trainee
+     * @param {Object} container - Container row of the launch
+     * @param {Object} settings - traffic_capture setting
+     * @returns {{onResponse: Function}} Capture to keep on the request
+     */
+    static capture(req, res, container, settings) {
+        const startedAt = new Date();
+        const requestBody = new BodyTap(settings.max_body_bytes);
+        const responseBody = new BodyTap(settings.max_body_bytes);
+        let proxyResponse = null;
+
+        req.on('data', chunk => requestBody.push(chunk));
+
+        res.once('close', () => {
+            this.record({
+                subdomain: container.subdomain,
+                user_id: container.user_id,
+                image_id: container.image_id,
+                requested_by: req.session ? req.session.userId : null,
+                method: req.method,
+                url: req.originalUrl,
+                // As the trainee sent them, before the proxy added X-Forwarded-*
+                request_headers: redactHeaders(fromRawHeaders(req.rawHeaders), settings.redact_headers),
+                request_body: requestBody.body,
+                request_size: requestBody.size,
+                status: proxyResponse ? proxyResponse.statusCode : res.statusCode,
+                response_headers: proxyResponse ? redactHeaders(proxyResponse.headers, settings.redact_headers) : {},
+                response_body: responseBody.body,
+                response_size: responseBody.size,
+                started_at: startedAt.toISOString(),
+                duration_ms: Date.now() - startedAt.getTime()
+            }, settings.max_entries).catch(error => {
+                logger.error('Error recording captured traffic:', { subdomain: container.subdomain, error: error.message });
+            });
+        });
+
+        return {
+            onResponse(proxyRes) {
+                proxyResponse = proxyRes;
+                proxyRes.on('data', chunk => responseBody.push(chunk));
+            }
+        };
+    }
+
+    /**
+     * Store a captured exchange, keeping only the newest entries of the launch
+     * @param {Object} entry - Row for traffic_captures
+     * @param {number} maxEntries - Entries kept per launch
+     */
+    static async record(entry, maxEntries) {
+        const columns = Object.keys(entry);
+        const values = columns.map(column => (
+            column.endsWith('_headers') ? JSON.stringify(entry[column]) : entry[column]
+        ));
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO traffic_captures (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                values,
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+
+        await new Promise((resolve, reject) => {
+            db.run(
+                `DELETE FROM traffic_captures
+                 WHERE subdomain = ? AND id <= (
+                     SELECT id FROM traffic_captures WHERE subdomain = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+                 )`,
+                [entry.subdomain, entry.subdomain, maxEntries],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+    }
+
+    /**
+     * Launches with captured traffic
+     * @param {Object} [filter] - { userId } to only list one trainee's launches
+     * @returns {Promise<Array<Object>>}
+     */
+    static async listLaunches({ userId = null } = {}) {
+        return new Promise((resolve, reject) => {
+            db.all(
+                `SELECT t.subdomain, t.user_id, u.username, i.name as exercise_name,
+                        COUNT(*) as entries, MIN(t.started_at) as first_request, MAX(t.started_at) as last_request
+                 FROM traffic_captures t
+                 LEFT JOIN users u ON t.user_id = u.id
+                 LEFT JOIN docker_images i ON t.image_id = i.id
+                 WHERE (? IS NULL OR t.user_id = ?)
+                 GROUP BY t.subdomain
+                 ORDER BY last_request DESC`,
+                [userId, userId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    /**
+     * Owner of a launch's captured traffic
+     * @param {string} subdomain - Launch subdomain
+     * @returns {Promise<number|null>} User ID, or null if nothing was captured
+     */
+    static async getOwner(subdomain) {
+        const row = await new Promise((resolve, reject) => {
+            db.get('SELECT user_id FROM traffic_captures WHERE subdomain = ? LIMIT 1', [subdomain], (err, row) => {
+                if (err) reject(err);
+                resolve(row);
+            });
+        });
+        return row ? row.user_id : null;
+    }
+
+    /**
+     * One page of a launch's captured traffic, newest first, without bodies
+     * @param {string} subdomain - Launch subdomain
+     * @param {Object} [options] - { beforeId } to page back from an entry
+     * @returns {Promise<{entries: Array<Object>, more: boolean}>} `more` if older entries remain
+     */
+    static async listEntries(subdomain, { beforeId = null } = {}) {
+        const rows = await new Promise((resolve, reject) => {
+            db.all(
+                `SELECT t.id, t.method, t.url, t.status, t.request_size, t.response_size,
+                        t.started_at, t.duration_ms, u.username as requested_by
+                 FROM traffic_captures t
+                 LEFT JOIN users u ON t.requested_by = u.id
+                 WHERE t.subdomain = ? AND (? IS NULL OR t.id < ?)
+                 ORDER BY t.id DESC
+                 LIMIT ?`,
+                [subdomain, beforeId, beforeId, TIMELINE_PAGE_SIZE + 1],
+                (err, rows) => {
+                    if (err) reject(err);
+                    resolve(rows || []);
+                }
+            );
+        });
+        return {
+            entries: rows.slice(0, TIMELINE_PAGE_SIZE),
+            more: rows.length > TIMELINE_PAGE_SIZE
+        };
+    }
+
+    /**
+     * One captured exchange with its headers and bodies
+     * @param {string} subdomain - Launch subdomain
+     * @param {number} id - Entry ID
+     * @returns {Promise<Object|null>} Bodies as { text, encoding?, size, truncated }
+     */
+    static async getEntry(subdomain, id) {
+        const row = await new Promise((resolve, reject) => {
+            db.get(
+                `SELECT t.*, u.username as requested_by
+                 FROM traffic_captures t
+                 LEFT JOIN users u ON t.requested_by = u.id
+                 WHERE t.subdomain = ? AND t.id = ?`,
+                [subdomain, id],
+                (err, row) => {
+                    if (err) reject(err);
+                    resolve(row);
+                }
+            );
+        });
+        return row ? formatEntry(row) : null;
+    }
+
+    /**
+     * Every captured exchange of a launch, with bodies
+     * @param {string} subdomain - Launch subdomain
+     * @returns {Promise<Array<Object>>}
+     */
+    static async getEntries(subdomain) {
+        const rows = await new Promise((resolve, reject) => {
+            db.all('SELECT * FROM traffic_captures WHERE subdomain = ? ORDER BY id', [subdomain], (err, rows) => {
+                if (err) reject(err);
+                resolve(rows || []);
+            });
+        });
+        return rows.map(formatEntry);
+    }
+
+    /**
+     * Export captured exchanges as a HAR 1.2 log
+     * @param {Array<Object>} entries - Entries from getEntries()
+     * @param {string} host - Host the exchanges were made against
+     * @returns {Object}
+     */
+    static toHar(entries, host) {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'App Training Platform', version: '1.0' },
+                entries: entries.map(entry => {
+                    const url = new URL(entry.url, `https://${host}`);
+                    const requestContentType = entry.request_headers['content-type'] || '';
+                    return {
+                        startedDateTime: entry.started_at,
+                        time: entry.duration_ms,
+                        request: {
+                            method: entry.method,
+                            url: url.href,
+                            httpVersion: 'HTTP/1.1',
+                            headers: toHarHeaders(entry.request_headers),
+                            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+                            cookies: [],
+                            headersSize: -1,
+                            bodySize: entry.request_body.size,
+                            ...(entry.request_body.size > 0 ? {
+                                postData: {
+                                    mimeType: requestContentType,
+                                    text: entry.request_body.text,
+                                    ...(entry.request_body.encoding ? { comment: 'base64 encoded' } : {})
+                                }
+                            } : {})
+                        },
+                        response: {
+                            status: entry.status || 0,
+                            statusText: '',
+                            httpVersion: 'HTTP/1.1',
+                            headers: toHarHeaders(entry.response_headers),
+                            cookies: [],
+                            content: {
+                                size: entry.response_body.size,
+                                mimeType: entry.response_headers['content-type'] || '',
+                                text: entry.response_body.text,
+                                ...(entry.response_body.encoding ? { encoding: entry.response_body.encoding } : {}),
+                                ...(entry.response_body.truncated ? { comment: 'truncated' } : {})
+                            },
+                            redirectURL: entry.response_headers.location || '',
+                            headersSize: -1,
+                            bodySize: entry.response_body.size
+                        },
+                        cache: {},
+                        timings: { send: 0, wait: entry.duration_ms, receive: 0 }
+                    };
+                })
+            }
+        };
+    }
+
+    /**
+     * Remove captured traffic older than the retention period
+     */
+    static async prune() {
+        const { retention_days: retentionDays } = await SettingsService.get('traffic_capture');
+        await new Promise((resolve, reject) => {
+            db.run(
+                `DELETE FROM traffic_captures WHERE datetime(started_at) < datetime('now', ?)`,
+                [`-${retentionDays} days`],
+                (err) => {
+                    if (err) reject(err);
+                    resolve();
+                }
+            );
+        });
+    }
+}
+
+/**
+ * Copy headers, replacing the values of sensitive ones
+ * @param {Object} headers - Node.js header object
+ * @param {Array<string>} redact - Lower-case header names to redact
+ * @returns {Object}
+ */
+function redactHeaders(headers, redact) {
+    const redacted = redact.map(name => name.toLowerCase());
+    const result = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        result[name] = redacted.includes(name.toLowerCase()) ? REDACTED : value;
+    });
+    return result;
+}
+
+/**
+ * Build a header object from Node.js raw headers, keeping repeated headers
+ * @param {Array<string>} rawHeaders - Alternating names and values
+ * @returns {Object}
+ */
+function fromRawHeaders(rawHeaders) {
+    const headers = {};
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        const name = rawHeaders[i].toLowerCase();
+        const value = rawHeaders[i + 1];
+        if (name in headers) {
+            headers[name] = [].concat(headers[name], value);
+        } else {
+            headers[name] = value;
+        }
+    }
+    return headers;
+}
+
+function toHarHeaders(headers) {
+    return Object.entries(headers).flatMap(([name, value]) => (
+        (Array.isArray(value) ? value : [value]).map(item => ({ name, value: String(item) }))
+    ));
+}
+
+/**
+ * Turn a stored body into text for display, decompressing complete bodies
+ * and base64 encoding binary ones
+ * @param {Buffer|null} body - Stored body
+ * @param {number} size - Size of the full body
+ * @param {Object} headers - Headers sent with the body
+ * @returns {{text: string, encoding?: string, size: number, truncated: boolean}}
+ */
+function decodeBody(body, size, headers) {
+    let buffer = body || Buffer.alloc(0);
+    const truncated = buffer.length < size;
+    const contentEncoding = (headers['content-encoding'] || '').toLowerCase();
+
+    if (!truncated && buffer.length > 0 && ['gzip', 'deflate', 'br'].includes(contentEncoding)) {
+        try {
+            const options = { maxOutputLength: MAX_DECODED_BYTES };
+            buffer = contentEncoding === 'gzip' ? zlib.gunzipSync(buffer, options)
+                : contentEncoding === 'deflate' ? zlib.inflateSync(buffer, options)
+                    : zlib.brotliDecompressSync(buffer, options);
+        } catch (error) {
+            // Leave the body as it was sent
+        }
+    }
+
+    if (TEXT_CONTENT_TYPE.test(headers['content-type'] || '')) {
+        return { text: buffer.toString('utf8'), size, truncated };
+    }
+    return { text: buffer.toString('base64'), encoding: 'base64', size, truncated };
+}
+
+function formatEntry(row) {
+    const requestHeaders = JSON.parse(row.request_headers || '{}');
+    const responseHeaders = JSON.parse(row.response_headers || '{}');
+    return {
+        id: row.id,
+        method: row.method,
+        url: row.url,
+        status: row.status,
+        started_at: row.started_at,
+        duration_ms: row.duration_ms,
+        requested_by: row.requested_by,
+        request_headers: requestHeaders,
+        request_body: decodeBody(row.request_body, row.request_size, requestHeaders),
+        response_headers: responseHeaders,
+        response_body: decodeBody(row.response_body, row.response_size, responseHeaders)
+    };
+}
+
+module.exports = { TrafficService };
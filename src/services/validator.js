@@ -0,0 +1,490 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeResources } = require('./resources');
+const { normalizeProxyLimits, LAUNCH_LIMIT_FIELDS } = require('./limits');
+const { validateEnvironment, isReserved } = require('./environment');
+const { getFlagConfig } = require('./flags');
+const { getServices } = require('./exercises');
+
+const DEFAULT_EXERCISE_PORT = 8080;
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+const GOAL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const IMAGE_NAME_PATTERN = /^[a-z0-9]+(?:[._-][a-z0-9]+)*$/;
+const IMAGE_TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,127}$/;
+const SERVICE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const MAX_SERVICES = 8;
+const CALLBACK_METHODS = ['GET', 'POST', 'PUT'];
+const FORMAT_TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+
+/**
+ * Top-level metadata fields understood by the platform; anything else is
+ * reported as a warning so typos don't silently do nothing
+ */
+const KNOWN_FIELDS = [
+    'title', 'version', 'description', 'level', 'goals', 'completion_criteria',
+    'port', 'resources', 'environment_variables', 'services', 'network', 'limits'
+];
+const SERVICE_FIELDS = ['build', 'entry', 'secrets', 'port', 'resources', 'environment_variables'];
+
+/**
+ * Problems found in an exercise package. `problems` lists every error and
+ * warning as { file, path|line, severity, message }.
+ */
+class PackageValidationError extends Error {
+    constructor(problems) {
+        const errors = problems.filter(problem => problem.severity === 'error');
+        super(`Invalid exercise package: ${errors.map(formatProblem).join('; ')}`);
+        this.name = 'PackageValidationError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Render a problem as e.g. "metadata.json goals[1].id: must be unique"
+ * @param {Object} problem - Validation problem
+ * @returns {string}
+ */
+function formatProblem(problem) {
+    const location = problem.path || (problem.line ? `line ${problem.line}` : '');
+    return `${problem.file}${location ? ` ${location}` : ''}: ${problem.message}`;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check exercise metadata against the schema
+ * @param {Object} metadata - Parsed metadata.json
+ * @returns {Array<Object>} Problems, with `path` naming the offending field
+ */
+function validateMetadata(metadata) {
+    const problems = [];
+    const error = (fieldPath, message) => problems.push({ file: 'metadata.json', path: fieldPath, severity: 'error', message });
+    const warning = (fieldPath, message) => problems.push({ file: 'metadata.json', path: fieldPath, severity: 'warning', message });
+
+    if (!isPlainObject(metadata)) {
+        error('', 'must be a JSON object');
+        return problems;
+    }
+
+    // Identity
+    if (!isNonEmptyString(metadata.title)) {
+        error('title', 'is required and must be a non-empty string');
+    } else if (!IMAGE_NAME_PATTERN.test(metadata.title.toLowerCase().replace(/\s+/g, '-'))) {
+        error('title', 'may only contain letters, digits, spaces, ".", "_" and "-"');
+    }
+    if (metadata.version !== undefined &&
+        (typeof metadata.version !== 'string' || !IMAGE_TAG_PATTERN.test(metadata.version))) {
+        error('version', 'must be a string of letters, digits, ".", "_" and "-" (at most 128 characters)');
+    }
+    if (!isNonEmptyString(metadata.description)) {
+        error('description', 'is required and must be a non-empty string');
+    }
+    if (typeof metadata.level !== 'string' || !LEVELS.includes(metadata.level.toLowerCase())) {
+        error('level', `must be one of: ${LEVELS.join(', ')}`);
+    }
+
+    // Goals
+    const flagVariables = [];
+    if (metadata.goals !== undefined) {
+        if (!Array.isArray(metadata.goals)) {
+            error('goals', 'must be an array');
+        } else {
+            const seenIds = new Set();
+            metadata.goals.forEach((goal, index) => {
+                const goalPath = `goals[${index}]`;
+                if (!isPlainObject(goal)) {
+                    error(goalPath, 'must be an object');
+                    return;
+                }
+
+                if (typeof goal.id !== 'string' || !GOAL_ID_PATTERN.test(goal.id)) {
+                    error(`${goalPath}.id`, 'is required and may only contain letters, digits, "_" and "-"');
+                } else if (seenIds.has(goal.id)) {
+                    error(`${goalPath}.id`, `duplicates goal id "${goal.id}"`);
+                } else {
+                    seenIds.add(goal.id);
+                }
+
+                if (!isNonEmptyString(goal.description)) {
+                    error(`${goalPath}.description`, 'is required and must be a non-empty string');
+                }
+                if (goal.hint !== undefined && typeof goal.hint !== 'string') {
+                    error(`${goalPath}.hint`, 'must be a string');
+                }
+                if (goal.required !== undefined && typeof goal.required !== 'boolean') {
+                    error(`${goalPath}.required`, 'must be true or false');
+                }
+
+                if (goal.flag !== undefined && goal.flag !== false) {
+                    if (goal.flag !== true && !isPlainObject(goal.flag)) {
+                        error(`${goalPath}.flag`, 'must be true or an object with format and env');
+                        return;
+                    }
+                    const flag = isPlainObject(goal.flag) ? goal.flag : {};
+                    if (flag.format !== undefined && (typeof flag.format !== 'string' || !flag.format.includes('%s'))) {
+                        error(`${goalPath}.flag.format`, 'must be a string containing %s');
+                    }
+                    if (flag.env !== undefined && (typeof flag.env !== 'string' || !VARIABLE_NAME_PATTERN.test(flag.env))) {
+                        error(`${goalPath}.flag.env`, 'must be a valid environment variable name');
+                        return;
+                    }
+                    if (typeof goal.id !== 'string') {
+                        return;
+                    }
+
+                    const { env } = getFlagConfig(goal);
+                    if (isReserved(env)) {
+                        error(`${goalPath}.flag.env`, `${env} is reserved by the platform`);
+                    } else if (flagVariables.includes(env)) {
+                        error(`${goalPath}.flag.env`, `${env} is already used by another goal`);
+                    } else {
+                        flagVariables.push(env);
+                    }
+                }
+            });
+        }
+    }
+
+    // Completion callback
+    const criteria = metadata.completion_criteria;
+    if (criteria !== undefined) {
+        if (!isPlainObject(criteria)) {
+            error('completion_criteria', 'must be an object');
+        } else {
+            if (criteria.endpoint !== undefined &&
+                (typeof criteria.endpoint !== 'string' || !criteria.endpoint.startsWith('/'))) {
+                error('completion_criteria.endpoint', 'must be a path starting with "/"');
+            }
+            if (criteria.method !== undefined &&
+                (typeof criteria.method !== 'string' || !CALLBACK_METHODS.includes(criteria.method.toUpperCase()))) {
+                error('completion_criteria.method', `must be one of: ${CALLBACK_METHODS.join(', ')}`);
+            }
+            if (criteria.format !== undefined) {
+                if (!isPlainObject(criteria.format)) {
+                    error('completion_criteria.format', 'must be an object mapping field names to types');
+                } else {
+                    Object.entries(criteria.format).forEach(([field, type]) => {
+                        if (!FORMAT_TYPES.includes(type)) {
+                            error(`completion_criteria.format.${field}`, `must be one of: ${FORMAT_TYPES.join(', ')}`);
+                        }
+                    });
+                    if (criteria.format.goal_id === undefined) {
+                        warning('completion_criteria.format', 'should include goal_id');
+                    }
+                }
+            }
+        }
+    }
+
+    // Container settings, shared by the top level and each service
+    const checkPort = (fieldPath, port) => {
+        if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+            error(fieldPath, 'must be an integer between 1 and 65535');
+        }
+    };
+    const checkResources = (fieldPath, resources) => {
+        if (resources === undefined) {
+            return;
+        }
+        if (!isPlainObject(resources)) {
+            error(fieldPath, 'must be an object');
+            return;
+        }
+        Object.entries(resources).forEach(([key, value]) => {
+            try {
+                normalizeResources({ [key]: value });
+                if (!['memory', 'cpu_shares', 'cpus', 'pids_limit'].includes(key)) {
+                    warning(`${fieldPath}.${key}`, 'is not a known resource limit and will be ignored');
+                }
+            } catch (resourceError) {
+                error(`${fieldPath}.${key}`, resourceError.message);
+            }
+        });
+    };
+    const checkEnvironment = (fieldPath, variables) => {
+        if (variables === undefined) {
+            return;
+        }
+        if (!isPlainObject(variables)) {
+            error(fieldPath, 'must be an object');
+            return;
+        }
+        Object.entries(variables).forEach(([name, value]) => {
+            try {
+                validateEnvironment({ [name]: value }, flagVariables);
+            } catch (envError) {
+                error(`${fieldPath}.${name}`, envError.message);
+            }
+        });
+    };
+
+    checkPort('port', metadata.port);
+    checkResources('resources', metadata.resources);
+    checkEnvironment('environment_variables', metadata.environment_variables);
+
+    if (metadata.network !== undefined) {
+        if (!isPlainObject(metadata.network)) {
+            error('network', 'must be an object');
+        } else {
+            if (metadata.network.egress !== undefined && typeof metadata.network.egress !== 'boolean') {
+                error('network.egress', 'must be true or false');
+            }
+            Object.keys(metadata.network)
+                .filter(key => key !== 'egress')
+                .forEach(key => warning(`network.${key}`, 'is not a known field and will be ignored'));
+        }
+    }
+
+    if (metadata.limits !== undefined) {
+        if (!isPlainObject(metadata.limits)) {
+            error('limits', 'must be an object');
+        } else {
+            Object.entries(metadata.limits).forEach(([key, value]) => {
+                if (!LAUNCH_LIMIT_FIELDS.includes(key)) {
+                    warning(`limits.${key}`, 'is not a known limit and will be ignored');
+                    return;
+                }
+                try {
+                    normalizeProxyLimits({ [key]: value });
+                } catch (limitError) {
+                    error(`limits.${key}`, limitError.message);
+                }
+            });
+        }
+    }
+
+    // Multi-container exercises
+    if (metadata.services !== undefined) {
+        const names = isPlainObject(metadata.services) ? Object.keys(metadata.services) : [];
+        if (names.length === 0) {
+            error('services', 'must be an object declaring at least one service');
+        } else {
+            if (names.length > MAX_SERVICES) {
+                error('services', `may declare at most ${MAX_SERVICES} services`);
+            }
+            const entries = names.filter(name => isPlainObject(metadata.services[name]) && metadata.services[name].entry === true);
+            if (names.length > 1 && entries.length !== 1) {
+                error('services', 'exactly one service must be marked "entry": true');
+            }
+
+            names.forEach(name => {
+                const servicePath = `services.${name}`;
+                const service = metadata.services[name];
+
+                if (!SERVICE_NAME_PATTERN.test(name)) {
+                    error(servicePath, 'service names may only contain lowercase letters, digits, "_" and "-"');
+                }
+                if (!isPlainObject(service)) {
+                    error(servicePath, 'must be an object');
+                    return;
+                }
+
+                if (service.build !== undefined) {
+                    const segments = typeof service.build === 'string' ? service.build.replace(/\\/g, '/').split('/') : [];
+                    if (!isNonEmptyString(service.build) || path.isAbsolute(service.build) || segments.includes('..')) {
+                        error(`${servicePath}.build`, 'must be a subdirectory of the package');
+                    }
+                }
+                if (service.entry !== undefined && typeof service.entry !== 'boolean') {
+                    error(`${servicePath}.entry`, 'must be true or false');
+                }
+                if (service.secrets !== undefined && typeof service.secrets !== 'boolean') {
+                    error(`${servicePath}.secrets`, 'must be true or false');
+                }
+                checkPort(`${servicePath}.port`, service.port);
+                checkResources(`${servicePath}.resources`, service.resources);
+                checkEnvironment(`${servicePath}.environment_variables`, service.environment_variables);
+
+                Object.keys(service)
+                    .filter(key => !SERVICE_FIELDS.includes(key))
+                    .forEach(key => warning(`${servicePath}.${key}`, 'is not a known field and will be ignored'));
+            });
+        }
+    }
+
+    Object.keys(metadata)
+        .filter(key => !KNOWN_FIELDS.includes(key))
+        .forEach(key => warning(key, 'is not a known field and will be ignored'));
+
+    return problems;
+}
+
+/**
+ * Split a Dockerfile into instructions, joining continuation lines
+ * @param {string} content - Dockerfile contents
+ * @returns {Array<{line: number, keyword: string, args: string}>}
+ */
+function parseDockerfile(content) {
+    const instructions = [];
+    let current = null;
+
+    content.split(/\r?\n/).forEach((raw, index) => {
+        const text = raw.trim();
+
+        // Comments and blank lines are skipped, even inside a continuation
+        if (!text || text.startsWith('#')) {
+            return;
+        }
+
+        const continues = text.endsWith('\\');
+        const body = continues ? text.slice(0, -1).trim() : text;
+
+        if (current) {
+            current.args = `${current.args} ${body}`.trim();
+        } else if (!body) {
+            // A stray line continuation with no instruction to continue
+            return;
+        } else {
+            const match = body.match(/^(\S+)\s*(.*)$/);
+            current = { line: index + 1, keyword: match[1].toUpperCase(), args: match[2] };
+        }
+
+        if (!continues) {
+            instructions.push(current);
+            current = null;
+        }
+    });
+
+    if (current) {
+        instructions.push(current);
+    }
+    return instructions;
+}
+
+/**
+ * Check a Dockerfile against the platform's container requirements: the
+ * final stage must run as a non-root USER, EXPOSE the exercise port and
+ * declare a HEALTHCHECK
+ * @param {string} content - Dockerfile contents
+ * @param {Object} [options] - { port, file }; a null port skips the EXPOSE
+ *     check (services that aren't proxied), undefined infers it like launches do
+ * @returns {Array<Object>} Problems, with `line` pointing at the instruction
+ */
+function lintDockerfile(content, { port: declaredPort, file = 'Dockerfile' } = {}) {
+    const problems = [];
+    const error = (line, message) => problems.push({ file, line, severity: 'error', message });
+    const warning = (line, message) => problems.push({ file, line, severity: 'warning', message });
+
+    const instructions = parseDockerfile(content);
+    const lastFrom = instructions.map(instruction => instruction.keyword).lastIndexOf('FROM');
+    if (lastFrom === -1) {
+        error(null, 'has no FROM instruction');
+        return problems;
+    }
+
+    // Only the final stage ends up in the exercise image
+    const stage = instructions.slice(lastFrom);
+    const stageLine = stage[0].line;
+
+    const user = stage.filter(instruction => instruction.keyword === 'USER').pop();
+    if (!user) {
+        error(stageLine, 'must switch to a non-root user with USER');
+    } else {
+        const name = user.args.split(':')[0].trim();
+        if (name === 'root' || name === '0') {
+            error(user.line, 'must not run as root');
+        } else if (name.includes('$')) {
+            warning(user.line, 'USER uses a variable, so the platform cannot check it is not root');
+        }
+    }
+
+    const exposes = stage.filter(instruction => instruction.keyword === 'EXPOSE');
+    const exposed = [];
+    exposes.forEach(instruction => {
+        instruction.args.split(/\s+/).filter(Boolean).forEach(spec => {
+            const match = spec.match(/^(\d+)(?:-(\d+))?(?:\/(tcp|udp|sctp))?$/i);
+            if (!match) {
+                warning(instruction.line, `cannot check EXPOSE ${spec}`);
+            } else if (!match[3] || match[3].toLowerCase() === 'tcp') {
+                exposed.push({ from: Number(match[1]), to: Number(match[2] || match[1]), line: instruction.line });
+            }
+        });
+    });
+
+    // Without a declared port, a single exposed port is used (see resolveExercisePort)
+    if (declaredPort !== null) {
+        let port = declaredPort;
+        if (!Number.isInteger(port)) {
+            port = exposed.length === 1 && exposed[0].from === exposed[0].to ? exposed[0].from : DEFAULT_EXERCISE_PORT;
+        }
+        if (!exposed.some(range => port >= range.from && port <= range.to)) {
+            const line = exposes.length > 0 ? exposes[0].line : stageLine;
+            error(line, `must EXPOSE the exercise port ${port}${Number.isInteger(declaredPort) ? ' declared in metadata.json' : ''}`);
+        }
+    }
+
+    const healthcheck = stage.filter(instruction => instruction.keyword === 'HEALTHCHECK').pop();
+    if (!healthcheck) {
+        error(stageLine, 'must declare a HEALTHCHECK');
+    } else if (/^NONE$/i.test(healthcheck.args.trim())) {
+        error(healthcheck.line, 'must not disable the HEALTHCHECK');
+    }
+
+    return problems;
+}
+
+/**
+ * Validate an extracted exercise package without building it
+ * @param {string} packagePath - Directory containing metadata.json and the Dockerfile(s)
+ * @returns {Promise<{metadata: Object|null, problems: Array<Object>, valid: boolean}>}
+ */
+async function validatePackage(packagePath) {
+    const problems = [];
+
+    const readPackageFile = async (name) => {
+        try {
+            return await fs.readFile(path.join(packagePath, name), 'utf8');
+        } catch (error) {
+            problems.push({ file: name, severity: 'error', message: 'is missing from the package' });
+            return null;
+        }
+    };
+
+    const metadataContent = await readPackageFile('metadata.json');
+
+    let metadata = null;
+    if (metadataContent !== null) {
+        try {
+            metadata = JSON.parse(metadataContent);
+        } catch (error) {
+            problems.push({ file: 'metadata.json', severity: 'error', message: `is not valid JSON: ${error.message}` });
+        }
+    }
+
+    if (metadata !== null) {
+        problems.push(...validateMetadata(metadata));
+    }
+
+    // Each service is built from the Dockerfile in its own directory
+    const servicesValid = !problems.some(problem => problem.severity === 'error' && /^services\b/.test(problem.path || ''));
+    const services = isPlainObject(metadata) && servicesValid ? getServices(metadata) : getServices({});
+    for (const service of services) {
+        const file = path.posix.join(service.build.replace(/\\/g, '/'), 'Dockerfile');
+        const dockerfile = await readPackageFile(file);
+        if (dockerfile !== null) {
+            const port = service.entry ? (isPlainObject(metadata) ? service.port : undefined) : null;
+            problems.push(...lintDockerfile(dockerfile, { port, file }));
+        }
+    }
+
+    return {
+        metadata,
+        problems,
+        valid: !problems.some(problem => problem.severity === 'error')
+    };
+}
+
+module.exports = {
+    PackageValidationError,
+    formatProblem,
+    validateMetadata,
+    lintDockerfile,
+    validatePackage
+};
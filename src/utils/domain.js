@@ -0,0 +1,154 @@
+const { validate: validateUUID } = require('uuid');
+
+const DEFAULT_BASE_DOMAIN = 'apptraining.dbg.local';
+const ROUTING_MODES = ['subdomain', 'path'];
+
+// Name launch containers reach the platform's internal API by
+const INTERNAL_API_HOST = 'training-platform';
+const DEFAULT_INTERNAL_API_PORT = 3001;
+
+// Hosts that reach the platform itself without going through DNS
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+/**
+ * Domain the platform is served on, from BASE_DOMAIN. Read on every call so
+ * it picks up .env files loaded after this module.
+ * @returns {string} e.g. "apptraining.dbg.local"
+ */
+function getBaseDomain() {
+    return (process.env.BASE_DOMAIN || DEFAULT_BASE_DOMAIN).trim().toLowerCase().replace(/^\.+|\.+$/g, '');
+}
+
+/**
+ * How launches are addressed, from ROUTING_MODE: "subdomain" serves them at
+ * <uuid>.<base domain>, "path" at /lab/<uuid>/ on the base domain
+ * @returns {string}
+ */
+function getRoutingMode() {
+    const mode = (process.env.ROUTING_MODE || 'subdomain').trim().toLowerCase();
+    if (!ROUTING_MODES.includes(mode)) {
+        throw new Error(`ROUTING_MODE must be one of ${ROUTING_MODES.join(', ')}, got "${mode}"`);
+    }
+    return mode;
+}
+
+/**
+ * Host name of a launch, e.g. "<uuid>.apptraining.dbg.local"
+ * @param {string} subdomain - Launch subdomain
+ * @returns {string}
+ */
+function exerciseHost(subdomain) {
+    return `${subdomain}.${getBaseDomain()}`;
+}
+
+/**
+ * Public URL of a launch
+ * @param {string} subdomain - Launch subdomain
+ * @returns {string}
+ */
+function exerciseUrl(subdomain) {
+    return getRoutingMode() === 'path'
+        ? `${platformUrl()}/lab/${subdomain}/`
+        : `https://${exerciseHost(subdomain)}`;
+}
+
+/**
+ * Public URL of the platform itself
+ * @returns {string}
+ */
+function platformUrl() {
+    return `https://${getBaseDomain()}`;
+}
+
+/**
+ * Port of the internal API that launch containers call, from INTERNAL_API_PORT
+ * @returns {number}
+ */
+function getInternalApiPort() {
+    return parseInt(process.env.INTERNAL_API_PORT, 10) || DEFAULT_INTERNAL_API_PORT;
+}
+
+/**
+ * Address the internal API listens on, from INTERNAL_API_BIND_HOST
+ * @returns {string|null} null to use the gateway of Docker's default bridge
+ */
+function getInternalApiBindHost() {
+    return (process.env.INTERNAL_API_BIND_HOST || '').trim() || null;
+}
+
+/**
+ * Base URL of the internal API as seen from inside a launch container
+ * @returns {string} e.g. "http://training-platform:3001"
+ */
+function internalApiUrl() {
+    return `http://${INTERNAL_API_HOST}:${getInternalApiPort()}`;
+}
+
+/**
+ * Whether a request host is the base domain or a host below it
+ * @param {string} hostname - Host without port
+ * @returns {boolean} false for loopback and foreign hosts
+ */
+function isBaseDomainHost(hostname) {
+    if (!hostname) {
+        return false;
+    }
+
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    const baseDomain = getBaseDomain();
+    return host === baseDomain || host.endsWith(`.${baseDomain}`);
+}
+
+/**
+ * Classify a request host against the base domain
+ * @param {string} hostname - Host without port, e.g. from req.hostname
+ * @returns {{platform: boolean, subdomain: string|null}|null} `platform` for the
+ *     platform itself, `subdomain` for a launch, null for hosts outside the base domain
+ */
+function parseHost(hostname) {
+    if (!hostname) {
+        return null;
+    }
+
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    const baseDomain = getBaseDomain();
+
+    if (host === baseDomain || LOOPBACK_HOSTS.includes(host)) {
+        return { platform: true, subdomain: null };
+    }
+    if (!host.endsWith(`.${baseDomain}`)) {
+        return null;
+    }
+
+    // Exactly one label below the base domain, and it must be a launch ID
+    const label = host.slice(0, -(baseDomain.length + 1));
+    if (label.includes('.') || !validateUUID(label)) {
+        return null;
+    }
+    return { platform: false, subdomain: label };
+}
+
+/**
+ * Launch subdomain of a request host
+ * @param {string} hostname - Host without port
+ * @returns {string|null} The subdomain, or null for the platform or foreign hosts
+ */
+function extractSubdomain(hostname) {
+    const parsed = parseHost(hostname);
+    return parsed ? parsed.subdomain : null;
+}
+
+module.exports = {
+    getBaseDomain,
+    getRoutingMode,
+    exerciseHost,
+    exerciseUrl,
+    platformUrl,
+    INTERNAL_API_HOST,
+    getInternalApiPort,
+    getInternalApiBindHost,
+    internalApiUrl,
+    isBaseDomainHost,
+    parseHost,
+    extractSubdomain
+};
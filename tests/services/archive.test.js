@@ -0,0 +1,252 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const tar = require('tar');
+const AdmZip = require('adm-zip');
+const { ArchiveError, extractArchive, findPackageRoot } = require('../../src/services/archive');
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+let workDir;
+let destination;
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+    destination = path.join(workDir, 'out');
+});
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a tar archive by hand, so entries can carry names and types that
+ * tar.c would refuse to write
+ * @param {Array<Object>} entries - { path, type, body, size, linkpath }
+ * @returns {Buffer}
+ */
+function buildTar(entries) {
+    const blocks = [];
+    entries.forEach(({ path: entryPath, type = 'File', body = '', size, linkpath }) => {
+        const data = Buffer.from(body);
+        const header = Buffer.alloc(512);
+        new tar.Header({
+            path: entryPath,
+            type,
+            linkpath,
+            size: size === undefined ? data.length : size,
+            mode: type === 'Directory' ? 0o755 : 0o644,
+            mtime: new Date(0)
+        }).encode(header);
+        blocks.push(header);
+        if (data.length > 0) {
+            blocks.push(data, Buffer.alloc((512 - (data.length % 512)) % 512));
+        }
+    });
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Build a zip archive; entry names are set after adding so adm-zip doesn't
+ * sanitize them
+ * @param {Array<Object>} entries - { name, body, attr }
+ * @returns {Buffer}
+ */
+function buildZip(entries) {
+    const zip = new AdmZip();
+    entries.forEach(({ name, body = '', attr }, index) => {
+        const placeholder = `entry-${index}`;
+        zip.addFile(placeholder, Buffer.from(body));
+        const entry = zip.getEntry(placeholder);
+        entry.entryName = name;
+        if (attr !== undefined) {
+            entry.header.attr = attr;
+        }
+    });
+    return zip.toBuffer();
+}
+
+function writeArchive(name, content) {
+    const archivePath = path.join(workDir, name);
+    fs.writeFileSync(archivePath, content);
+    return archivePath;
+}
+
+const expectRejected = async (promise, message) => {
+    const error = await promise.catch(caught => caught);
+    expect(error).toBeInstanceOf(ArchiveError);
+    expect(error.message).toMatch(message);
+};
+
+describe('extractArchive with tar', () => {
+    test('extracts regular files and directories', async () => {
+        const archive = writeArchive('lab.tar.gz', zlib.gzipSync(buildTar([
+            { path: 'lab/', type: 'Directory' },
+            { path: 'lab/Dockerfile', body: 'FROM node:20\n' }
+        ])));
+
+        await extractArchive(archive, 'lab.tar.gz', destination);
+
+        expect(fs.readFileSync(path.join(destination, 'lab/Dockerfile'), 'utf8')).toBe('FROM node:20\n');
+        expect(await findPackageRoot(destination)).toBe(path.join(destination, 'lab'));
+    });
+
+    test.each([
+        ['../escape.txt', /"\.\." path segments/],
+        ['lab/../../escape.txt', /"\.\." path segments/],
+        ['/etc/escape.txt', /absolute paths/],
+        ['C:\\escape.txt', /absolute paths/]
+    ])('rejects the traversal entry %s', async (entryPath, message) => {
+        const archive = writeArchive('lab.tar', buildTar([{ path: entryPath, body: 'owned' }]));
+
+        await expectRejected(extractArchive(archive, 'lab.tar', destination), message);
+        expect(fs.existsSync(path.join(workDir, 'escape.txt'))).toBe(false);
+        expect(fs.readdirSync(destination)).toEqual([]);
+    });
+
+    test.each(['SymbolicLink', 'Link'])('rejects %s entries', async (type) => {
+        const archive = writeArchive('lab.tar', buildTar([
+            { path: 'Dockerfile', body: 'FROM node:20\n' },
+            { path: 'passwd', type, linkpath: '/etc/passwd' }
+        ]));
+
+        await expectRejected(extractArchive(archive, 'lab.tar', destination), /Rejected archive entry "passwd": links are not allowed/);
+        expect(fs.readdirSync(destination)).toEqual([]);
+    });
+
+    test('rejects special file types', async () => {
+        const archive = writeArchive('lab.tar', buildTar([{ path: 'fifo', type: 'FIFO' }]));
+
+        await expectRejected(extractArchive(archive, 'lab.tar', destination), /unsupported entry type FIFO/);
+    });
+
+    test('rejects archives with too many entries', async () => {
+        const archive = writeArchive('lab.tar', buildTar([
+            { path: 'a', body: 'a' },
+            { path: 'b', body: 'b' },
+            { path: 'c', body: 'c' }
+        ]));
+
+        await expectRejected(
+            extractArchive(archive, 'lab.tar', destination, { maxEntries: 2 }),
+            /"c": archive has more than 2 entries/
+        );
+    });
+
+    test('rejects entries declaring more than the size limit before inflating them', async () => {
+        // A gzip bomb: one entry claiming far more data than the archive holds
+        const archive = writeArchive('lab.tgz', zlib.gzipSync(buildTar([
+            { path: 'bomb', size: 10 * 1024 * 1024 * 1024 }
+        ])));
+
+        await expectRejected(
+            extractArchive(archive, 'lab.tgz', destination, { maxTotalSize: 1024 * 1024 }),
+            /archive expands to more than 1MB/
+        );
+        expect(fs.readdirSync(destination)).toEqual([]);
+    });
+
+    test('rejects archives whose files add up to more than the size limit', async () => {
+        const chunk = 'x'.repeat(600 * 1024);
+        const archive = writeArchive('lab.tgz', zlib.gzipSync(buildTar([
+            { path: 'one', body: chunk },
+            { path: 'two', body: chunk }
+        ])));
+
+        await expectRejected(
+            extractArchive(archive, 'lab.tgz', destination, { maxTotalSize: 1024 * 1024 }),
+            /"two": archive expands to more than 1MB/
+        );
+    });
+
+    test('stops inflating a compressed stream larger than the limit allows', async () => {
+        // Zero blocks after the end-of-archive marker still have to be decompressed
+        const archive = writeArchive('lab.tgz', zlib.gzipSync(Buffer.concat([
+            buildTar([{ path: 'Dockerfile', body: 'FROM node:20\n' }]),
+            Buffer.alloc(8 * 1024 * 1024)
+        ])));
+
+        await expectRejected(
+            extractArchive(archive, 'lab.tgz', destination, { maxTotalSize: 1024 * 1024, maxEntries: 10 }),
+            /^archive expands to more than 1MB$/
+        );
+    });
+
+    test('rejects corrupt archives', async () => {
+        const archive = writeArchive('lab.tar.gz', Buffer.from('not gzip at all'));
+
+        await expectRejected(extractArchive(archive, 'lab.tar.gz', destination), /invalid archive/);
+    });
+});
+
+describe('extractArchive with zip', () => {
+    test('extracts regular files', async () => {
+        const archive = writeArchive('lab.zip', buildZip([
+            { name: 'Dockerfile', body: 'FROM node:20\n' },
+            { name: 'web/app.js', body: 'console.log(1);\n' }
+        ]));
+
+        await extractArchive(archive, 'lab.zip', destination);
+
+        expect(fs.readFileSync(path.join(destination, 'web/app.js'), 'utf8')).toBe('console.log(1);\n');
+    });
+
+    test.each([
+        ['../escape.txt', /"\.\." path segments/],
+        ['/tmp/escape.txt', /absolute paths/],
+        ['lab\\..\\..\\escape.txt', /"\.\." path segments/]
+    ])('rejects the traversal entry %s', async (name, message) => {
+        const archive = writeArchive('lab.zip', buildZip([
+            { name: 'Dockerfile', body: 'FROM node:20\n' },
+            { name, body: 'owned' }
+        ]));
+
+        await expectRejected(extractArchive(archive, 'lab.zip', destination), message);
+        expect(fs.existsSync(path.join(workDir, 'escape.txt'))).toBe(false);
+        expect(fs.readdirSync(destination)).toEqual([]);
+    });
+
+    test('rejects symbolic links', async () => {
+        const archive = writeArchive('lab.zip', buildZip([
+            { name: 'passwd', body: '/etc/passwd', attr: 0o120777 * 0x10000 }
+        ]));
+
+        await expectRejected(extractArchive(archive, 'lab.zip', destination), /"passwd": links are not allowed/);
+        expect(fs.readdirSync(destination)).toEqual([]);
+    });
+
+    test('rejects entries that inflate beyond the size limit', async () => {
+        // Compresses to a few kilobytes
+        const archive = writeArchive('lab.zip', buildZip([
+            { name: 'bomb', body: Buffer.alloc(2 * 1024 * 1024) }
+        ]));
+        expect(fs.statSync(archive).size).toBeLessThan(64 * 1024);
+
+        await expectRejected(
+            extractArchive(archive, 'lab.zip', destination, { maxTotalSize: 1024 * 1024 }),
+            /"bomb": archive expands to more than 1MB/
+        );
+        expect(fs.readdirSync(destination)).toEqual([]);
+    });
+
+    test('rejects archives with too many entries', async () => {
+        const archive = writeArchive('lab.zip', buildZip([
+            { name: 'a' }, { name: 'b' }, { name: 'c' }
+        ]));
+
+        await expectRejected(
+            extractArchive(archive, 'lab.zip', destination, { maxEntries: 2 }),
+            /archive has more than 2 entries/
+        );
+    });
+});
+
+test('rejects unsupported archive types', async () => {
+    const archive = writeArchive('lab.rar', Buffer.from('rar'));
+
+    await expectRejected(extractArchive(archive, 'lab.rar', destination), /unsupported archive type/);
+});
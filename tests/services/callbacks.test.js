@@ -0,0 +1,100 @@
+const { CallbackService } = require('../../src/services/callbacks');
+
+const SECRET = 'a'.repeat(64);
+const container = { subdomain: 'lab', callback_secret: SECRET };
+
+/**
+ * Minimal stand-in for an Express request after the JSON parser ran
+ * @param {Object} options - { body, rawBody, signature }; a null signature sends no header
+ */
+function callbackRequest({ body, rawBody, signature } = {}) {
+    const payload = body || { goal_id: 'login', timestamp: Math.floor(Date.now() / 1000) };
+    const raw = rawBody === undefined ? Buffer.from(JSON.stringify(payload)) : rawBody;
+    const headers = {};
+    if (signature !== null) {
+        headers['x-training-signature'] = signature === undefined ? `sha256=${CallbackService.sign(SECRET, raw)}` : signature;
+    }
+    return {
+        body: payload,
+        rawBody: raw,
+        get: name => headers[name.toLowerCase()]
+    };
+}
+
+describe('CallbackService.verify', () => {
+    test('accepts a body signed with the container secret', () => {
+        expect(CallbackService.verify(container, callbackRequest())).toEqual({ valid: true });
+    });
+
+    test('checks the signature against the raw body, not the parsed one', () => {
+        const raw = Buffer.from(`{ "goal_id": "login", "timestamp": ${Math.floor(Date.now() / 1000)} }`);
+        const req = callbackRequest({ rawBody: raw, body: JSON.parse(raw) });
+        expect(CallbackService.verify(container, req)).toEqual({ valid: true });
+    });
+
+    test('rejects a tampered body', () => {
+        const req = callbackRequest();
+        req.rawBody = Buffer.from(req.rawBody.toString().replace('login', 'admin'));
+        expect(CallbackService.verify(container, req)).toEqual({ valid: false, reason: 'Invalid signature' });
+    });
+
+    test('rejects a body signed with another secret', () => {
+        const raw = Buffer.from(JSON.stringify({ goal_id: 'login', timestamp: Math.floor(Date.now() / 1000) }));
+        const req = callbackRequest({ rawBody: raw, signature: `sha256=${CallbackService.sign('b'.repeat(64), raw)}` });
+        expect(CallbackService.verify(container, req)).toEqual({ valid: false, reason: 'Invalid signature' });
+    });
+
+    test.each([
+        ['more than five minutes old', -301],
+        ['more than five minutes ahead', 301]
+    ])('rejects a timestamp %s', (description, offset) => {
+        const req = callbackRequest({ body: { goal_id: 'login', timestamp: Math.floor(Date.now() / 1000) + offset } });
+        expect(CallbackService.verify(container, req)).toEqual({ valid: false, reason: 'Stale or missing timestamp' });
+    });
+
+    test('accepts a timestamp within the allowed skew', () => {
+        const req = callbackRequest({ body: { goal_id: 'login', timestamp: Math.floor(Date.now() / 1000) - 290 } });
+        expect(CallbackService.verify(container, req)).toEqual({ valid: true });
+    });
+
+    test('rejects a missing timestamp', () => {
+        const req = callbackRequest({ body: { goal_id: 'login' } });
+        expect(CallbackService.verify(container, req)).toEqual({ valid: false, reason: 'Stale or missing timestamp' });
+    });
+
+    test.each([
+        ['missing', null, 'Missing signature'],
+        ['without the sha256= prefix', 'deadbeef', 'Missing signature'],
+        ['with another algorithm', 'sha1=deadbeef', 'Missing signature'],
+        ['truncated', 'sha256=deadbeef', 'Invalid signature'],
+        ['not hex', `sha256=${'z'.repeat(64)}`, 'Invalid signature']
+    ])('rejects a signature header that is %s', (description, signature, reason) => {
+        const req = callbackRequest({ signature });
+        expect(CallbackService.verify(container, req)).toEqual({ valid: false, reason });
+    });
+
+    test('rejects a request without a raw body', () => {
+        const req = callbackRequest();
+        req.rawBody = undefined;
+        expect(CallbackService.verify(container, req)).toEqual({ valid: false, reason: 'Missing request body' });
+    });
+
+    test('rejects launches without a callback secret', () => {
+        const req = callbackRequest();
+        expect(CallbackService.verify({ subdomain: 'lab', callback_secret: null }, req))
+            .toEqual({ valid: false, reason: 'Container has no callback secret' });
+    });
+
+    test('rejects unknown containers', () => {
+        expect(CallbackService.verify(undefined, callbackRequest()))
+            .toEqual({ valid: false, reason: 'Unknown container' });
+    });
+});
+
+describe('CallbackService.generateSecret', () => {
+    test('returns a fresh 256-bit hex secret', () => {
+        const secret = CallbackService.generateSecret();
+        expect(secret).toMatch(/^[0-9a-f]{64}$/);
+        expect(CallbackService.generateSecret()).not.toBe(secret);
+    });
+});
@@ -0,0 +1,70 @@
+const { createIgnoreMatcher } = require('../../src/services/dockerignore');
+
+describe('createIgnoreMatcher', () => {
+    test('ignores nothing without rules', () => {
+        const { ignores, hasExceptions } = createIgnoreMatcher('# only a comment\n\n');
+        expect(ignores('app.js')).toBe(false);
+        expect(hasExceptions).toBe(false);
+    });
+
+    test('matches names relative to the context root', () => {
+        const { ignores } = createIgnoreMatcher('node_modules\n/.git\n');
+        expect(ignores('node_modules')).toBe(true);
+        expect(ignores('.git')).toBe(true);
+        expect(ignores('web/node_modules')).toBe(false);
+    });
+
+    test('ignores everything below an ignored directory', () => {
+        const { ignores } = createIgnoreMatcher('secrets\n');
+        expect(ignores('secrets/key.pem')).toBe(true);
+        expect(ignores('secrets-backup/key.pem')).toBe(false);
+    });
+
+    test('keeps * and ? within one path segment', () => {
+        const { ignores } = createIgnoreMatcher('*.log\ntmp?\n');
+        expect(ignores('debug.log')).toBe(true);
+        expect(ignores('logs/debug.log')).toBe(false);
+        expect(ignores('tmp1')).toBe(true);
+        expect(ignores('tmp12')).toBe(false);
+    });
+
+    test('lets ** span any number of directories', () => {
+        const { ignores } = createIgnoreMatcher('**/*.pyc\ndocs/**\n');
+        expect(ignores('app.pyc')).toBe(true);
+        expect(ignores('a/b/c/app.pyc')).toBe(true);
+        expect(ignores('docs/guide/index.md')).toBe(true);
+        expect(ignores('src/docs.md')).toBe(false);
+    });
+
+    test('supports character classes and escapes', () => {
+        const { ignores } = createIgnoreMatcher('file[0-9].txt\nnot[!a].txt\nliteral\\*.txt\n');
+        expect(ignores('file7.txt')).toBe(true);
+        expect(ignores('filex.txt')).toBe(false);
+        expect(ignores('notb.txt')).toBe(true);
+        expect(ignores('nota.txt')).toBe(false);
+        expect(ignores('literal*.txt')).toBe(true);
+        expect(ignores('literalx.txt')).toBe(false);
+    });
+
+    test('lets the last matching rule win, so exceptions re-include files', () => {
+        const { ignores, hasExceptions } = createIgnoreMatcher('*.md\n!README.md\n');
+        expect(ignores('CHANGELOG.md')).toBe(true);
+        expect(ignores('README.md')).toBe(false);
+        expect(hasExceptions).toBe(true);
+
+        expect(createIgnoreMatcher('!README.md\n*.md\n').ignores('README.md')).toBe(true);
+    });
+
+    test('always sends the Dockerfile and .dockerignore', () => {
+        const { ignores } = createIgnoreMatcher('*\n');
+        expect(ignores('Dockerfile')).toBe(false);
+        expect(ignores('.dockerignore')).toBe(false);
+        expect(ignores('app.js')).toBe(true);
+    });
+
+    test('treats regular expression characters in patterns literally', () => {
+        const { ignores } = createIgnoreMatcher('build(1).tar\n');
+        expect(ignores('build(1).tar')).toBe(true);
+        expect(ignores('build1.tar')).toBe(false);
+    });
+});
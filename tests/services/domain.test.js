@@ -0,0 +1,71 @@
+const { parseHost, extractSubdomain } = require('../../src/utils/domain');
+
+const LAUNCH = '0b6e8f8e-8f3a-4d5e-9f00-2d4c4b1e1a11';
+const originalBaseDomain = process.env.BASE_DOMAIN;
+
+beforeEach(() => {
+    process.env.BASE_DOMAIN = 'training.example.com';
+});
+
+afterEach(() => {
+    if (originalBaseDomain === undefined) {
+        delete process.env.BASE_DOMAIN;
+    } else {
+        process.env.BASE_DOMAIN = originalBaseDomain;
+    }
+});
+
+describe('parseHost', () => {
+    test('recognises the base domain as the platform', () => {
+        expect(parseHost('training.example.com')).toEqual({ platform: true, subdomain: null });
+        expect(parseHost('Training.Example.COM')).toEqual({ platform: true, subdomain: null });
+        expect(parseHost('training.example.com.')).toEqual({ platform: true, subdomain: null });
+    });
+
+    test('recognises loopback hosts as the platform', () => {
+        ['localhost', '127.0.0.1', '::1', '[::1]', 'LOCALHOST'].forEach(host => {
+            expect(parseHost(host)).toEqual({ platform: true, subdomain: null });
+        });
+    });
+
+    test('returns the launch for a UUID label below the base domain', () => {
+        expect(parseHost(`${LAUNCH}.training.example.com`)).toEqual({ platform: false, subdomain: LAUNCH });
+        expect(parseHost(`${LAUNCH.toUpperCase()}.training.example.com`)).toEqual({ platform: false, subdomain: LAUNCH });
+    });
+
+    test('rejects other labels below the base domain', () => {
+        expect(parseHost('www.training.example.com')).toBeNull();
+        expect(parseHost(`a.${LAUNCH}.training.example.com`)).toBeNull();
+        expect(parseHost(`${LAUNCH}.a.training.example.com`)).toBeNull();
+    });
+
+    test('rejects hosts outside the base domain', () => {
+        expect(parseHost('example.com')).toBeNull();
+        expect(parseHost('eviltraining.example.com')).toBeNull();
+        expect(parseHost(`${LAUNCH}.training.example.com.evil.test`)).toBeNull();
+        expect(parseHost('127.0.0.2')).toBeNull();
+        expect(parseHost('')).toBeNull();
+        expect(parseHost(undefined)).toBeNull();
+    });
+
+    test('expects the host without a port', () => {
+        // Callers pass req.hostname or strip the port from the Host header first
+        expect(parseHost('training.example.com:443')).toBeNull();
+        expect(parseHost('localhost:3000')).toBeNull();
+        expect(parseHost(`${LAUNCH}.training.example.com:8443`)).toBeNull();
+    });
+
+    test('follows BASE_DOMAIN', () => {
+        process.env.BASE_DOMAIN = 'Staging.Example.com.';
+        expect(parseHost('staging.example.com')).toEqual({ platform: true, subdomain: null });
+        expect(parseHost('training.example.com')).toBeNull();
+    });
+});
+
+describe('extractSubdomain', () => {
+    test('returns the launch subdomain only for launch hosts', () => {
+        expect(extractSubdomain(`${LAUNCH}.training.example.com`)).toBe(LAUNCH);
+        expect(extractSubdomain('training.example.com')).toBeNull();
+        expect(extractSubdomain('example.com')).toBeNull();
+    });
+});
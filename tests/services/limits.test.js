@@ -0,0 +1,176 @@
+const { EventEmitter } = require('events');
+const { admitRequest, normalizeProxyLimits, resolveProxyLimits } = require('../../src/services/limits');
+
+const LIMITS = {
+    requests_per_minute: 60,
+    max_concurrent: 2,
+    user_requests_per_minute: 1000,
+    user_max_concurrent: 100
+};
+
+// Buckets are module state, so every test admits under its own launch and user
+let nextId = 0;
+function admitter(limits = LIMITS) {
+    nextId += 1;
+    const request = { subdomain: `lab-${nextId}`, userId: nextId, limits };
+    return (options = {}) => admitRequest({ ...request, ...options });
+}
+
+describe('admitRequest', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('allows a burst up to requests_per_minute, then rejects', () => {
+        const admit = admitter();
+        for (let i = 0; i < 60; i++) {
+            expect(admit({ concurrent: false }).allowed).toBe(true);
+        }
+        expect(admit({ concurrent: false })).toEqual({
+            allowed: false,
+            scope: 'launch',
+            limit: 'requests_per_minute',
+            retryAfter: 1
+        });
+    });
+
+    test('refills tokens with time', () => {
+        const admit = admitter();
+        for (let i = 0; i < 60; i++) {
+            admit({ concurrent: false });
+        }
+
+        now += 500;
+        expect(admit({ concurrent: false }).allowed).toBe(false);
+
+        now += 500;
+        expect(admit({ concurrent: false }).allowed).toBe(true);
+        expect(admit({ concurrent: false }).allowed).toBe(false);
+    });
+
+    test('refills no more than a full bucket after a long pause', () => {
+        const admit = admitter();
+        now += 60 * 60 * 1000;
+        for (let i = 0; i < 60; i++) {
+            expect(admit({ concurrent: false }).allowed).toBe(true);
+        }
+        expect(admit({ concurrent: false }).allowed).toBe(false);
+    });
+
+    test('reports how long until the next token', () => {
+        const admit = admitter({ ...LIMITS, requests_per_minute: 2 });
+        admit({ concurrent: false });
+        admit({ concurrent: false });
+        expect(admit({ concurrent: false }).retryAfter).toBe(30);
+
+        now += 15000;
+        expect(admit({ concurrent: false }).retryAfter).toBe(15);
+    });
+
+    test('applies the user limit across launches', () => {
+        nextId += 1;
+        const limits = { ...LIMITS, user_requests_per_minute: 2 };
+        const userId = nextId;
+        expect(admitRequest({ subdomain: `a-${userId}`, userId, limits, concurrent: false }).allowed).toBe(true);
+        expect(admitRequest({ subdomain: `b-${userId}`, userId, limits, concurrent: false }).allowed).toBe(true);
+        expect(admitRequest({ subdomain: `c-${userId}`, userId, limits, concurrent: false })).toMatchObject({
+            allowed: false,
+            scope: 'user',
+            limit: 'requests_per_minute'
+        });
+    });
+
+    test('rejects requests beyond max_concurrent until one is released', () => {
+        const admit = admitter();
+        const first = admit();
+        admit();
+        expect(admit()).toEqual({ allowed: false, scope: 'launch', limit: 'max_concurrent', retryAfter: 1 });
+
+        first.release();
+        expect(admit().allowed).toBe(true);
+    });
+
+    test('does not take a token for a request rejected on concurrency', () => {
+        const admit = admitter({ ...LIMITS, requests_per_minute: 3, max_concurrent: 1 });
+        const held = admit();
+        expect(admit().allowed).toBe(false);
+        expect(admit().allowed).toBe(false);
+        held.release();
+
+        expect(admit({ concurrent: false }).allowed).toBe(true);
+        expect(admit({ concurrent: false }).allowed).toBe(true);
+        expect(admit({ concurrent: false }).allowed).toBe(false);
+    });
+
+    test('frees the slot when the response closes after an error or a 413', () => {
+        const admit = admitter({ ...LIMITS, max_concurrent: 1 });
+
+        // The proxy releases on the response's close event, however the response ended
+        for (const status of [502, 413]) {
+            const res = new EventEmitter();
+            const admission = admit();
+            expect(admission.allowed).toBe(true);
+            res.once('close', admission.release);
+            expect(admit().allowed).toBe(false);
+
+            res.statusCode = status;
+            res.emit('close');
+        }
+        expect(admit().allowed).toBe(true);
+    });
+
+    test('releasing twice frees only one slot', () => {
+        const admit = admitter();
+        const first = admit();
+        admit();
+        first.release();
+        first.release();
+
+        expect(admit().allowed).toBe(true);
+        expect(admit().allowed).toBe(false);
+    });
+
+    test('requests that do not hold a slot ignore max_concurrent', () => {
+        const admit = admitter({ ...LIMITS, max_concurrent: 1 });
+        admit();
+        const upgrade = admit({ concurrent: false });
+        expect(upgrade.allowed).toBe(true);
+        upgrade.release();
+        expect(admit().allowed).toBe(false);
+    });
+});
+
+describe('normalizeProxyLimits', () => {
+    test('converts max_body_size to bytes', () => {
+        expect(normalizeProxyLimits({ max_body_size: '10M', max_concurrent: 5 })).toEqual({
+            max_body_size: 10 * 1024 * 1024,
+            max_concurrent: 5
+        });
+    });
+
+    test('rejects unknown fields and out-of-range counts', () => {
+        expect(() => normalizeProxyLimits({ burst: 5 })).toThrow('unknown limit: burst');
+        expect(() => normalizeProxyLimits({ requests_per_minute: 0 })).toThrow('requests_per_minute must be an integer');
+        expect(() => normalizeProxyLimits({ max_concurrent: 1.5 })).toThrow('max_concurrent must be an integer');
+    });
+});
+
+describe('resolveProxyLimits', () => {
+    test('lets an exercise override the platform defaults for its launches', () => {
+        const settings = { requests_per_minute: 600, max_concurrent: 20, user_max_concurrent: 50, max_body_size: '1M' };
+        const metadata = JSON.stringify({ limits: { requests_per_minute: 30 } });
+        expect(resolveProxyLimits(metadata, settings)).toEqual({
+            requests_per_minute: 30,
+            max_concurrent: 20,
+            user_max_concurrent: 50,
+            max_body_size: 1024 * 1024
+        });
+    });
+});
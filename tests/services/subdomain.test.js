@@ -0,0 +1,68 @@
+jest.mock('../../src/db/init', () => ({ db: {} }));
+jest.mock('../../src/utils/logger', () => ({
+    logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { rewriteLocation, rewriteCookiePath } = require('../../src/middleware/subdomain');
+
+const PREFIX = '/lab/0b6e8f8e-8f3a-4d5e-9f00-2d4c4b1e1a11';
+const TARGET = '172.30.0.2:8080';
+
+describe('rewriteLocation', () => {
+    test('moves relative paths below the prefix', () => {
+        expect(rewriteLocation('/home', PREFIX, TARGET)).toBe(`${PREFIX}/home`);
+        expect(rewriteLocation('/search?q=1#top', PREFIX, TARGET)).toBe(`${PREFIX}/search?q=1#top`);
+        expect(rewriteLocation('/', PREFIX, TARGET)).toBe(`${PREFIX}/`);
+    });
+
+    test('maps absolute URLs to the exercise itself into the prefix', () => {
+        expect(rewriteLocation(`http://${TARGET}/home`, PREFIX, TARGET)).toBe(`${PREFIX}/home`);
+        expect(rewriteLocation(`https://${TARGET}`, PREFIX, TARGET)).toBe(`${PREFIX}/`);
+        expect(rewriteLocation(`http://${TARGET}?next=1`, PREFIX, TARGET)).toBe(`${PREFIX}/?next=1`);
+    });
+
+    test('leaves absolute URLs to other hosts alone', () => {
+        expect(rewriteLocation('https://example.com/login', PREFIX, TARGET)).toBe('https://example.com/login');
+        expect(rewriteLocation('http://172.30.0.2:9090/', PREFIX, TARGET)).toBe('http://172.30.0.2:9090/');
+    });
+
+    test('leaves paths already below the prefix alone', () => {
+        expect(rewriteLocation(`${PREFIX}/home`, PREFIX, TARGET)).toBe(`${PREFIX}/home`);
+        expect(rewriteLocation(`http://${TARGET}${PREFIX}/home`, PREFIX, TARGET)).toBe(`${PREFIX}/home`);
+    });
+
+    test('does not treat a longer path sharing the prefix as below it', () => {
+        expect(rewriteLocation(`${PREFIX}x/home`, PREFIX, TARGET)).toBe(`${PREFIX}${PREFIX}x/home`);
+    });
+
+    test('leaves protocol-relative and document-relative locations alone', () => {
+        expect(rewriteLocation('//example.com/home', PREFIX, TARGET)).toBe('//example.com/home');
+        expect(rewriteLocation('home', PREFIX, TARGET)).toBe('home');
+        expect(rewriteLocation('?page=2', PREFIX, TARGET)).toBe('?page=2');
+    });
+});
+
+describe('rewriteCookiePath', () => {
+    test('scopes Path=/ to the prefix itself', () => {
+        expect(rewriteCookiePath('sid=1; Path=/; HttpOnly', PREFIX)).toBe(`sid=1; Path=${PREFIX}; HttpOnly`);
+    });
+
+    test('moves deeper paths below the prefix', () => {
+        expect(rewriteCookiePath('a=2; Path=/admin', PREFIX)).toBe(`a=2; Path=${PREFIX}/admin`);
+        expect(rewriteCookiePath('a=2; path=admin; Secure', PREFIX)).toBe(`a=2; path=${PREFIX}/admin; Secure`);
+    });
+
+    test('leaves cookies already below the prefix alone', () => {
+        expect(rewriteCookiePath(`sid=1; Path=${PREFIX}`, PREFIX)).toBe(`sid=1; Path=${PREFIX}`);
+        expect(rewriteCookiePath(`a=2; Path=${PREFIX}/admin`, PREFIX)).toBe(`a=2; Path=${PREFIX}/admin`);
+    });
+
+    test('leaves cookies without a Path alone', () => {
+        expect(rewriteCookiePath('b=3; HttpOnly', PREFIX)).toBe('b=3; HttpOnly');
+        expect(rewriteCookiePath('b=3', PREFIX)).toBe('b=3');
+    });
+
+    test('only rewrites the Path attribute, not a value containing "path="', () => {
+        expect(rewriteCookiePath('next=path=/x; Path=/', PREFIX)).toBe(`next=path=/x; Path=${PREFIX}`);
+    });
+});
@@ -0,0 +1,164 @@
+jest.mock('../../src/db/init', () => ({ db: {} }));
+
+const { validateMetadata, lintDockerfile } = require('../../src/services/validator');
+
+const VALID_DOCKERFILE = [
+    'FROM node:20-slim',
+    'WORKDIR /app',
+    'COPY . .',
+    'USER node',
+    'EXPOSE 8080',
+    'HEALTHCHECK CMD wget -qO- http://localhost:8080/ || exit 1',
+    'CMD ["node", "server.js"]'
+].join('\n');
+
+const baseMetadata = (overrides = {}) => ({
+    title: 'SQL Injection Basic',
+    description: 'Find the injection',
+    level: 'beginner',
+    ...overrides
+});
+
+const errorsOf = problems => problems.filter(problem => problem.severity === 'error');
+
+describe('lintDockerfile', () => {
+    test('accepts a Dockerfile meeting the container requirements', () => {
+        expect(lintDockerfile(VALID_DOCKERFILE)).toEqual([]);
+    });
+
+    test('reports a missing FROM', () => {
+        expect(lintDockerfile('USER node\n')).toEqual([
+            { file: 'Dockerfile', line: null, severity: 'error', message: 'has no FROM instruction' }
+        ]);
+    });
+
+    test('requires a non-root USER in the final stage', () => {
+        const withoutUser = VALID_DOCKERFILE.replace('USER node\n', '');
+        expect(errorsOf(lintDockerfile(withoutUser)).map(problem => problem.message))
+            .toEqual(['must switch to a non-root user with USER']);
+
+        const asRoot = VALID_DOCKERFILE.replace('USER node', 'USER 0:0');
+        expect(errorsOf(lintDockerfile(asRoot))).toEqual([
+            { file: 'Dockerfile', line: 4, severity: 'error', message: 'must not run as root' }
+        ]);
+    });
+
+    test('only checks the final build stage', () => {
+        const multiStage = `FROM node:20 AS build\nUSER node\nEXPOSE 8080\nHEALTHCHECK CMD true\n${VALID_DOCKERFILE.replace('USER node\n', '')}`;
+        expect(errorsOf(lintDockerfile(multiStage)).map(problem => problem.message))
+            .toEqual(['must switch to a non-root user with USER']);
+    });
+
+    test('requires the declared port to be exposed', () => {
+        expect(errorsOf(lintDockerfile(VALID_DOCKERFILE, { port: 3000 }))).toEqual([
+            {
+                file: 'Dockerfile',
+                line: 5,
+                severity: 'error',
+                message: 'must EXPOSE the exercise port 3000 declared in metadata.json'
+            }
+        ]);
+        expect(lintDockerfile(VALID_DOCKERFILE.replace('EXPOSE 8080', 'EXPOSE 3000-3010/tcp'), { port: 3005 })).toEqual([]);
+        expect(lintDockerfile(VALID_DOCKERFILE.replace('EXPOSE 8080\n', ''), { port: null })).toEqual([]);
+    });
+
+    test('requires a HEALTHCHECK that is not disabled', () => {
+        const disabled = VALID_DOCKERFILE.replace(/HEALTHCHECK .*/, 'HEALTHCHECK NONE');
+        expect(errorsOf(lintDockerfile(disabled))).toEqual([
+            { file: 'Dockerfile', line: 6, severity: 'error', message: 'must not disable the HEALTHCHECK' }
+        ]);
+    });
+
+    test('joins continuation lines and reports the line an instruction starts on', () => {
+        const continued = VALID_DOCKERFILE.replace('USER node', 'USER \\\n    # the app user\n    root');
+        expect(errorsOf(lintDockerfile(continued))).toEqual([
+            { file: 'Dockerfile', line: 4, severity: 'error', message: 'must not run as root' }
+        ]);
+    });
+
+    test('ignores a stray line continuation instead of throwing', () => {
+        expect(() => lintDockerfile('FROM node:20\n\\\nUSER node\n')).not.toThrow();
+        expect(lintDockerfile(`\\\n${VALID_DOCKERFILE}`)).toEqual([]);
+    });
+});
+
+describe('validateMetadata', () => {
+    test('accepts minimal metadata', () => {
+        expect(validateMetadata(baseMetadata())).toEqual([]);
+    });
+
+    test('rejects anything but an object', () => {
+        expect(validateMetadata([])).toEqual([
+            { file: 'metadata.json', path: '', severity: 'error', message: 'must be a JSON object' }
+        ]);
+    });
+
+    test('requires title, description and a known level', () => {
+        const paths = errorsOf(validateMetadata({ level: 'expert' })).map(problem => problem.path);
+        expect(paths).toEqual(['title', 'description', 'level']);
+    });
+
+    test('requires unique goal ids', () => {
+        const problems = validateMetadata(baseMetadata({
+            goals: [
+                { id: 'login', description: 'Log in' },
+                { id: 'login', description: 'Log in again' }
+            ]
+        }));
+        expect(errorsOf(problems)).toEqual([
+            { file: 'metadata.json', path: 'goals[1].id', severity: 'error', message: 'duplicates goal id "login"' }
+        ]);
+    });
+
+    test('rejects flag variables that clash with platform or other flag variables', () => {
+        const problems = validateMetadata(baseMetadata({
+            goals: [
+                { id: 'a', description: 'A', flag: { env: 'TRAINING_FLAG' } },
+                { id: 'b', description: 'B', flag: { env: 'FLAG_SHARED' } },
+                { id: 'c', description: 'C', flag: { env: 'FLAG_SHARED' } }
+            ]
+        }));
+        expect(errorsOf(problems).map(problem => problem.path)).toEqual(['goals[0].flag.env', 'goals[2].flag.env']);
+    });
+
+    test('rejects environment variables reserved by the platform or a flag', () => {
+        const problems = validateMetadata(baseMetadata({
+            goals: [{ id: 'dump', description: 'Dump the table', flag: true }],
+            environment_variables: { CALLBACK_URL: 'x', FLAG_DUMP: 'x', MODE: '{{nope}}' }
+        }));
+        expect(errorsOf(problems).map(problem => problem.path)).toEqual([
+            'environment_variables.CALLBACK_URL',
+            'environment_variables.FLAG_DUMP',
+            'environment_variables.MODE'
+        ]);
+    });
+
+    test('checks ports, resources and limits', () => {
+        const problems = validateMetadata(baseMetadata({
+            port: 70000,
+            resources: { memory: 'lots' },
+            limits: { requests_per_minute: 0, burst: 5 }
+        }));
+        expect(errorsOf(problems).map(problem => problem.path)).toEqual([
+            'port',
+            'resources.memory',
+            'limits.requests_per_minute'
+        ]);
+        expect(problems).toContainEqual(
+            { file: 'metadata.json', path: 'limits.burst', severity: 'warning', message: 'is not a known limit and will be ignored' }
+        );
+    });
+
+    test('requires exactly one entry service', () => {
+        const problems = validateMetadata(baseMetadata({
+            services: { web: {}, db: { secrets: 'yes' } }
+        }));
+        expect(errorsOf(problems).map(problem => problem.path)).toEqual(['services', 'services.db.secrets']);
+    });
+
+    test('warns about unknown fields', () => {
+        expect(validateMetadata(baseMetadata({ tilte: 'typo' }))).toEqual([
+            { file: 'metadata.json', path: 'tilte', severity: 'warning', message: 'is not a known field and will be ignored' }
+        ]);
+    });
+});